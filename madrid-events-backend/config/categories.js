@@ -0,0 +1,69 @@
+// config/categories.js
+
+// Taxonomía de categorías de los eventos, en el orden en que se muestran.
+// sources son fragmentos de las categorías de las fuentes (el @type de datos.madrid.es, p. ej.
+// "TeatroPerformance", y las categorías y subcategorías de esmadrid, p. ej. "Teatro y danza").
+// keywords son comienzos de palabra del título o la descripción para los eventos cuyas
+// categorías de origen no encajan en ninguna. excludes son comienzos de palabra que no cuentan
+// para la categoría aunque empiecen por una de sus claves ("musical" es teatro, no música).
+// Todo se compara sin tildes ni mayúsculas.
+const categories = [
+    {
+        id: 'music',
+        sources: ['musica', 'concierto', 'opera', 'zarzuela', 'flamenco', 'jazz'],
+        keywords: ['concierto', 'musica', 'jazz', 'flamenco', 'opera', 'zarzuela', 'orquesta', 'recital de piano', 'coral'],
+        excludes: ['musical']
+    },
+    {
+        id: 'theatre',
+        sources: ['teatro', 'performance', 'circo', 'magia'],
+        keywords: ['teatro', 'comedia', 'monologo', 'circo', 'magia', 'improvisacion', 'musical']
+    },
+    {
+        id: 'dance',
+        sources: ['danza', 'baile', 'ballet'],
+        keywords: ['danza', 'baile', 'ballet']
+    },
+    {
+        id: 'exhibitions',
+        sources: ['exposicion', 'museo', 'arte urbano'],
+        keywords: ['exposicion', 'muestra', 'museo']
+    },
+    {
+        id: 'cinema',
+        sources: ['cine', 'audiovisual'],
+        keywords: ['cine', 'pelicula', 'proyeccion', 'cortometraje', 'documental']
+    },
+    {
+        id: 'kids',
+        sources: ['infantil', 'ninos', 'familia', 'cuentacuentos', 'titeres', 'marionetas', 'campamento'],
+        keywords: ['infantil', 'ninos', 'familiar', 'cuentacuentos', 'titeres', 'marionetas']
+    },
+    {
+        id: 'sports',
+        sources: ['deporte', 'deportiva'],
+        keywords: ['deporte', 'deportiva', 'carrera popular', 'torneo', 'yoga', 'pilates', 'marcha nordica']
+    },
+    {
+        id: 'workshops',
+        sources: ['taller', 'curso'],
+        keywords: ['taller', 'curso', 'workshop']
+    },
+    {
+        id: 'talks',
+        sources: ['conferencia', 'coloquio', 'charla', 'literari', 'presentacion', 'recital'],
+        keywords: ['conferencia', 'charla', 'coloquio', 'mesa redonda', 'presentacion del libro', 'club de lectura', 'poesia']
+    },
+    {
+        id: 'tours',
+        sources: ['itinerario', 'visita', 'excursion', 'ruta'],
+        keywords: ['visita guiada', 'ruta', 'itinerario', 'paseo', 'excursion']
+    },
+    {
+        id: 'festivals',
+        sources: ['fiesta', 'festival', 'feria', 'conmemoracion', 'homenaje'],
+        keywords: ['festival', 'fiesta', 'feria', 'verbena', 'carnaval', 'navidad']
+    }
+];
+
+module.exports = categories;
@@ -8,7 +8,14 @@ module.exports = {
     MONGO_URI: process.env.MONGO_URI,
     DB_NAME: process.env.DB_NAME || 'madrid-events',
     COLLECTION_NAME: process.env.COLLECTION_NAME || 'events',
+    JOBS_COLLECTION_NAME: process.env.JOBS_COLLECTION_NAME || 'enrichment_jobs',
+    INGESTION_RUNS_COLLECTION_NAME: process.env.INGESTION_RUNS_COLLECTION_NAME || 'ingestion_runs',
+    EVENT_REVISIONS_COLLECTION_NAME: process.env.EVENT_REVISIONS_COLLECTION_NAME || 'event_revisions',
     FRONTEND_URL: process.env.FRONTEND_URL,
+    ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN,
+
+    // Local time zone for schedules and dates
+    TIMEZONE: 'Europe/Madrid',
 
     // Base coordinates
     BASE_LAT: 40.426794,
@@ -36,20 +43,40 @@ module.exports = {
 
     // Update intervals
     UPDATE_INTERVAL: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+    DEFAULT_INGESTION_SCHEDULE: process.env.INGESTION_SCHEDULE || '0 5 * * *', // cron, Europe/Madrid
+    INGESTION_RUN_TIMEOUT_MS: 30 * 60 * 1000, // 30 minutes
+
+    // Past events are archived when they end and purged after this many days (0 keeps them forever)
+    PAST_EVENTS_RETENTION_DAYS: parseInt(process.env.PAST_EVENTS_RETENTION_DAYS || '365', 10),
 
     // Nominatim API
     NOMINATIM_API_BASE: 'https://nominatim.openstreetmap.org/reverse',
     NOMINATIM_EMAIL: process.env.NOMINATIM_EMAIL,
 
-    // Overpass API
-    OVERPASS_API_BASE: 'https://overpass-api.de/api/interpreter',
+    // Nearest transit stops (per-mode settings in config/transit.js)
+    SUBWAY_SEARCH_RADIUS_M: parseInt(process.env.SUBWAY_SEARCH_RADIUS_M || '1000', 10),
+    WALKING_DETOUR_FACTOR: 1.3, // street distance over straight-line distance
+    WALKING_SPEED_M_PER_MIN: 80,
+
+    // Map viewport clustering
+    MAP_CLUSTER_CELL_PX: 60,
+    MAP_CLUSTER_MAX_ZOOM: 17, // from this zoom on every event is returned as a pin
+    MAP_MAX_MARKERS: 1000,
 
     // Pagination defaults
     DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE || '100', 10),
     MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE || '500', 10),
 
+    // Cross-source deduplication
+    DEDUP_MAX_DISTANCE_KM: parseFloat(process.env.DEDUP_MAX_DISTANCE_KM || '0.3'),
+    DEDUP_DATE_WINDOW_DAYS: parseInt(process.env.DEDUP_DATE_WINDOW_DAYS || '1', 10),
+
     // Queue controls
     QUEUE_REQUEST_DELAY_MS: parseInt(process.env.QUEUE_REQUEST_DELAY_MS || '1500', 10),
-    MAX_QUEUE_LENGTH: parseInt(process.env.MAX_QUEUE_LENGTH || '1000', 10),
-    MAX_QUEUE_RETRIES: parseInt(process.env.MAX_QUEUE_RETRIES || '3', 10)
+    MAX_QUEUE_RETRIES: parseInt(process.env.MAX_QUEUE_RETRIES || '3', 10),
+    QUEUE_RETRY_BASE_DELAY_MS: parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS || '5000', 10),
+    QUEUE_RETRY_MAX_DELAY_MS: parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS || String(10 * 60 * 1000), 10),
+    CIRCUIT_BREAKER_FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5', 10),
+    CIRCUIT_BREAKER_COOLDOWN_MS: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || String(5 * 60 * 1000), 10),
+    JOB_LEASE_MS: parseInt(process.env.JOB_LEASE_MS || String(5 * 60 * 1000), 10)
 };
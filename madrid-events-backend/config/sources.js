@@ -0,0 +1,29 @@
+// config/sources.js
+const constants = require('./constants');
+
+// Fuentes de eventos que se ingieren en cada ciclo, en este orden.
+// ENABLED_SOURCES (lista separada por comas) permite limitar las fuentes activas.
+// schedule es una expresión cron (hora de Madrid); null deja la fuente solo para ejecuciones manuales.
+const enabledSources = process.env.ENABLED_SOURCES
+    ? process.env.ENABLED_SOURCES.split(',').map(name => name.trim()).filter(Boolean)
+    : null;
+
+const sources = [
+    {
+        name: 'datos-madrid',
+        type: 'datos-madrid-json',
+        url: constants.EVENTS_API_URL,
+        schedule: process.env.DATOS_MADRID_SCHEDULE || constants.DEFAULT_INGESTION_SCHEDULE
+    },
+    {
+        name: 'esmadrid',
+        type: 'esmadrid-xml',
+        url: constants.XML_EVENTS_API_URL,
+        schedule: process.env.ESMADRID_SCHEDULE || constants.DEFAULT_INGESTION_SCHEDULE
+    }
+];
+
+module.exports = sources.map(source => ({
+    ...source,
+    enabled: enabledSources ? enabledSources.includes(source.name) : source.enabled !== false
+}));
@@ -0,0 +1,45 @@
+// config/transit.js
+const constants = require('./constants');
+
+// Modos de transporte que se buscan alrededor de cada evento, en el orden en que se muestran.
+// color se aplica a las líneas que no traen el suyo en el dataset (autobuses, estaciones BiciMAD...).
+// limit es el número de paradas más cercanas que se guardan por modo y radiusMeters el radio de búsqueda.
+const transitModes = [
+    {
+        id: 'metro',
+        name: 'Metro',
+        color: '#0065b1',
+        limit: 3,
+        radiusMeters: constants.SUBWAY_SEARCH_RADIUS_M
+    },
+    {
+        id: 'metro-ligero',
+        name: 'Metro Ligero',
+        color: '#2aa7df',
+        limit: 2,
+        radiusMeters: constants.SUBWAY_SEARCH_RADIUS_M
+    },
+    {
+        id: 'cercanias',
+        name: 'Cercanías',
+        color: '#e1001a',
+        limit: 2,
+        radiusMeters: 1500
+    },
+    {
+        id: 'emt',
+        name: 'EMT',
+        color: '#1d4f91',
+        limit: 3,
+        radiusMeters: 400
+    },
+    {
+        id: 'bicimad',
+        name: 'BiciMAD',
+        color: '#00a650',
+        limit: 2,
+        radiusMeters: 400
+    }
+];
+
+module.exports = transitModes;
@@ -1,12 +1,31 @@
-function normalizeDate(value) {
+const constants = require('../config/constants');
+const DateUtils = require('../utils/dateUtils');
+
+// dtstart y dtend se guardan como instantes UTC; las fechas sin zona de las fuentes son hora de Madrid
+function normalizeDate(value, options) {
     if (!value) {
         return '';
     }
-    if (value instanceof Date && !Number.isNaN(value.getTime())) {
-        return value.toISOString();
+    const parsed = DateUtils.parseDateTime(value, options);
+    return parsed ? parsed.toISOString() : value;
+}
+
+// Día y hora locales de un instante; la hora es null si el evento abarca el día entero
+function toLocalDateTime(value, isEnd) {
+    const date = DateUtils.toLocalDate(value);
+    if (!date) {
+        return null;
     }
-    const parsed = new Date(value);
-    return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+    const time = DateUtils.toLocalTime(value);
+    const isWholeDay = isEnd ? time >= '23:59' : time === '00:00';
+    return { date, time: isWholeDay ? null : time };
+}
+
+// Punto GeoJSON [lon, lat] para el índice 2dsphere; null si las coordenadas no son válidas
+function toGeoPoint(latitude, longitude) {
+    const isValid = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+    return isValid ? { type: 'Point', coordinates: [longitude, latitude] } : null;
 }
 
 class Event {
@@ -16,10 +35,13 @@ class Event {
         description,
         free,
         price,
+        pricing,
         dtstart,
         dtend,
         time,
         audience,
+        categories,
+        sourceCategories,
         eventLocation,
         locality,
         postalCode,
@@ -34,17 +56,28 @@ class Event {
         distance,
         subway,
         subwayLines,
-        excludedDays
+        transit,
+        excludedDays,
+        recurrence,
+        schedule,
+        sourceIds,
+        fingerprint,
+        sourceHashes
     }) {
         this.id = id || '';
         this.title = title || '';
         this.description = description || '';
         this.free = free || false;
         this.price = price || '';
+        // pricing es el precio estructurado de EventPriceService (importes en euros)
+        this.pricing = pricing || null;
         this.dtstart = normalizeDate(dtstart);
-        this.dtend = normalizeDate(dtend);
+        this.dtend = normalizeDate(dtend, { endOfDay: true });
         this.time = time || '';
         this.audience = Array.isArray(audience) ? audience : [audience || ''];
+        // categories es la taxonomía normalizada; sourceCategories, las categorías tal como vienen de la fuente
+        this.categories = Array.isArray(categories) ? categories : [];
+        this.sourceCategories = Array.isArray(sourceCategories) ? sourceCategories : [];
         this.eventLocation = eventLocation || '';
         this.locality = locality || '';
         this.postalCode = postalCode || '';
@@ -59,7 +92,14 @@ class Event {
         this.distance = distance || null;
         this.subway = subway || '';
         this.subwayLines = subwayLines || [];
+        this.transit = Array.isArray(transit) ? transit : [];
         this.excludedDays = excludedDays || '';
+        // recurrence es la de datos.madrid.es; schedule, el horario estructurado de EventScheduleService
+        this.recurrence = recurrence || null;
+        this.schedule = schedule || null;
+        this.sourceIds = Array.isArray(sourceIds) && sourceIds.length > 0 ? sourceIds : [this.id];
+        this.fingerprint = fingerprint || '';
+        this.sourceHashes = sourceHashes || {};
     }
 
     toJSON() {
@@ -69,25 +109,39 @@ class Event {
             description: this.description,
             free: this.free,
             price: this.price,
+            pricing: this.pricing,
             dtstart: this.dtstart,
             dtend: this.dtend,
+            localDates: {
+                timeZone: constants.TIMEZONE,
+                start: toLocalDateTime(this.dtstart, false),
+                end: toLocalDateTime(this.dtend, true)
+            },
             time: this.time,
             audience: this.audience,
+            categories: this.categories,
+            sourceCategories: this.sourceCategories,
             'event-location': this.eventLocation,
             locality: this.locality,
             'postal-code': this.postalCode,
             'street-address': this.streetAddress,
             latitude: this.latitude,
             longitude: this.longitude,
+            location: toGeoPoint(this.latitude, this.longitude),
             'organization-name': this.organizationName,
             link: this.link,
             image: this.image,
             distrito: this.distrito,
             barrio: this.barrio,
-            distance: this.distance,
             subway: this.subway,
             subwayLines: this.subwayLines,
-            'excluded-days': this.excludedDays
+            transit: this.transit,
+            'excluded-days': this.excludedDays,
+            recurrence: this.recurrence,
+            schedule: this.schedule,
+            sourceIds: this.sourceIds,
+            fingerprint: this.fingerprint,
+            sourceHashes: this.sourceHashes
         };
     }
 }
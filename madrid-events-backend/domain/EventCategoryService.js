@@ -0,0 +1,78 @@
+const categories = require('../config/categories');
+const StringUtils = require('../utils/stringUtils');
+
+const DESCRIPTION_LENGTH = 500;
+
+// Separa las palabras de un @type en CamelCase ("TeatroPerformance" -> "Teatro Performance")
+function splitCamelCase(value) {
+    return String(value).replace(/([a-záéíóúñ])([A-ZÁÉÍÓÚÑ])/g, '$1 $2');
+}
+
+// Alguna palabra del texto (ya comparable) empieza por la palabra o frase clave
+function hasKeyword(text, keyword) {
+    return ` ${text}`.includes(` ${keyword}`);
+}
+
+// El texto sin las palabras que la categoría excluye
+function withoutExcluded(text, category) {
+    const excludes = category.excludes || [];
+    return text.split(' ').filter(word => !excludes.some(exclude => word.startsWith(exclude))).join(' ');
+}
+
+class EventCategoryService {
+    static getCategoryIds() {
+        return categories.map(category => category.id);
+    }
+
+    // Categorías en bruto del @type de datos.madrid.es: el último segmento de cada URI
+    static fromTypes(types) {
+        const values = Array.isArray(types) ? types : [types];
+        return values
+            .filter(value => typeof value === 'string' && value.trim() !== '')
+            .map(value => splitCamelCase(value.split('/').pop()));
+    }
+
+    static matchSources(sourceCategories) {
+        const keys = (sourceCategories || []).map(value => StringUtils.toComparableKey(value));
+        return categories
+            .filter(category => keys.some(key => {
+                const text = withoutExcluded(key, category);
+                return category.sources.some(source => text.includes(source));
+            }))
+            .map(category => category.id);
+    }
+
+    static matchKeywords(text) {
+        const key = StringUtils.toComparableKey(text);
+        if (!key) {
+            return [];
+        }
+        return categories
+            .filter(category => {
+                const text = withoutExcluded(key, category);
+                return category.keywords.some(keyword => hasKeyword(text, keyword));
+            })
+            .map(category => category.id);
+    }
+
+    /**
+     * Categorías normalizadas de un evento: las de sus categorías de origen y, si ninguna encaja,
+     * las palabras clave del título o, en último lugar, del comienzo de la descripción.
+     */
+    static categorize(event) {
+        const fromSources = this.matchSources(event.sourceCategories);
+        if (fromSources.length > 0) {
+            return fromSources;
+        }
+
+        const fromTitle = this.matchKeywords(event.title);
+        if (fromTitle.length > 0) {
+            return fromTitle;
+        }
+
+        const description = String(event.description || '').replace(/<[^>]*>/g, ' ');
+        return this.matchKeywords(description.slice(0, DESCRIPTION_LENGTH));
+    }
+}
+
+module.exports = EventCategoryService;
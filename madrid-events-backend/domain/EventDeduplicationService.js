@@ -0,0 +1,111 @@
+const Event = require('./Event');
+const EventDomainService = require('./EventDomainService');
+const StringUtils = require('../utils/stringUtils');
+const constants = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EventDeduplicationService {
+    // Huella del evento: título normalizado. Venue, coordenadas y fechas se comparan en isDuplicate
+    static fingerprint(event) {
+        return StringUtils.toComparableKey(event.title);
+    }
+
+    // Mismo título y, además, misma sede y fechas que se solapan; sin sede o sin fechas no se fusiona
+    static isDuplicate(event, candidate) {
+        if (!event.fingerprint || event.fingerprint !== candidate.fingerprint) {
+            return false;
+        }
+        return this.isSameVenue(event, candidate) && this.overlapsInTime(event, candidate);
+    }
+
+    static isSameVenue(event, candidate) {
+        if (EventDomainService.hasValidCoordinates(event) && EventDomainService.hasValidCoordinates(candidate)) {
+            const distance = EventDomainService.calculateDistance(event, candidate.latitude, candidate.longitude);
+            return distance <= constants.DEDUP_MAX_DISTANCE_KM;
+        }
+
+        const venue = StringUtils.toComparableKey(event.eventLocation);
+        const candidateVenue = StringUtils.toComparableKey(candidate.eventLocation);
+        if (!venue || !candidateVenue) {
+            return false;
+        }
+        return venue.includes(candidateVenue) || candidateVenue.includes(venue);
+    }
+
+    static overlapsInTime(event, candidate) {
+        const range = this.getDateRange(event);
+        const candidateRange = this.getDateRange(candidate);
+        if (!range || !candidateRange) {
+            return false;
+        }
+        const windowMs = constants.DEDUP_DATE_WINDOW_DAYS * DAY_MS;
+        return range.start - windowMs <= candidateRange.end && candidateRange.start - windowMs <= range.end;
+    }
+
+    static getDateRange(event) {
+        const start = new Date(event.dtstart).getTime();
+        const end = new Date(event.dtend || event.dtstart).getTime();
+        if (Number.isNaN(start)) {
+            return null;
+        }
+        return { start, end: Number.isNaN(end) ? start : end };
+    }
+
+    /**
+     * Fusiona un evento entrante en el evento canónico ya almacenado.
+     * El canónico conserva su id; de cada campo se queda con el valor más completo,
+     * salvo el precio, que es el del canónico si lo tiene.
+     */
+    static merge(canonical, incoming) {
+        const merged = new Event({
+            ...canonical,
+            description: this.pickLongest(canonical.description, incoming.description),
+            price: canonical.price || incoming.price,
+            free: canonical.free || incoming.free,
+            image: this.pickImage(canonical.image, incoming.image),
+            time: canonical.time || incoming.time,
+            eventLocation: canonical.eventLocation || incoming.eventLocation,
+            organizationName: canonical.organizationName || incoming.organizationName,
+            postalCode: canonical.postalCode || incoming.postalCode,
+            streetAddress: canonical.streetAddress || incoming.streetAddress,
+            locality: canonical.locality || incoming.locality,
+            link: canonical.link || incoming.link,
+            dtstart: canonical.dtstart || incoming.dtstart,
+            dtend: canonical.dtend || incoming.dtend,
+            excludedDays: canonical.excludedDays || incoming.excludedDays,
+            recurrence: canonical.recurrence || incoming.recurrence,
+            audience: [...new Set([...canonical.audience, ...incoming.audience].filter(Boolean))],
+            sourceCategories: [...new Set([...canonical.sourceCategories, ...incoming.sourceCategories])],
+            sourceIds: [...new Set([...canonical.sourceIds, canonical.id, ...incoming.sourceIds, incoming.id])],
+            sourceHashes: { ...canonical.sourceHashes, ...incoming.sourceHashes }
+        });
+
+        if (!EventDomainService.hasValidCoordinates(merged) && EventDomainService.hasValidCoordinates(incoming)) {
+            merged.latitude = incoming.latitude;
+            merged.longitude = incoming.longitude;
+        }
+        merged.fingerprint = canonical.fingerprint || incoming.fingerprint;
+
+        return EventDomainService.applyDerivedFields(merged);
+    }
+
+    static pickLongest(current, candidate) {
+        const currentText = current ? String(current) : '';
+        const candidateText = candidate ? String(candidate) : '';
+        return candidateText.trim().length > currentText.trim().length ? candidateText : currentText;
+    }
+
+    static pickImage(current, candidate) {
+        const isUsable = image => !!image && image !== constants.IMAGE_NOT_FOUND;
+        if (isUsable(current)) {
+            return current;
+        }
+        if (isUsable(candidate)) {
+            return candidate;
+        }
+        return current || candidate || null;
+    }
+}
+
+module.exports = EventDeduplicationService;
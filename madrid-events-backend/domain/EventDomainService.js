@@ -1,4 +1,10 @@
 const Event = require('./Event');
+const EventCategoryService = require('./EventCategoryService');
+const EventScheduleService = require('./EventScheduleService');
+const EventPriceService = require('./EventPriceService');
+const DateUtils = require('../utils/dateUtils');
+
+const CHILDREN_KEYWORDS = ['infantil', 'niños', 'niñas', 'familiar', 'bebes'];
 
 class EventDomainService {
     static normalizeAudience(audience) {
@@ -7,28 +13,48 @@ class EventDomainService {
         }
 
         const audienceArray = Array.isArray(audience) ? audience : [audience];
-        const lowerCaseAudience = audienceArray.map(a => a.toLowerCase());
-
-        const childrenKeywords = ['infantil', 'niños', 'niñas', 'familiar', 'bebes'];
-
-        let hasChildrenKeyword = false;
-        for (const keyword of childrenKeywords) {
-            if (lowerCaseAudience.some(a => a.includes(keyword))) {
-                hasChildrenKeyword = true;
-                break;
-            }
-        }
-
         const newAudience = [...audienceArray];
-        if (hasChildrenKeyword && !newAudience.includes('children')) {
+        if (this.hasChildrenKeyword(audienceArray) && !newAudience.includes('children')) {
             newAudience.push('children');
         }
 
         return newAudience;
     }
 
+    static hasChildrenKeyword(values) {
+        const lowerCaseValues = values.map(value => String(value).toLowerCase());
+        return CHILDREN_KEYWORDS.some(keyword => lowerCaseValues.some(value => value.includes(keyword)));
+    }
+
+    // Categorías normalizadas del evento; los eventos infantiles se marcan también en audience
+    static applyCategories(event) {
+        event.categories = EventCategoryService.categorize(event);
+        if (event.categories.includes('kids') && !event.audience.includes('children')) {
+            event.audience = [...event.audience.filter(Boolean), 'children'];
+        }
+        return event;
+    }
+
+    // Horario estructurado a partir de time, excluded-days y la recurrencia
+    static applySchedule(event) {
+        event.schedule = EventScheduleService.parse(event);
+        return event;
+    }
+
+    // Precio estructurado; free se mantiene si la fuente lo indica y se deduce del texto si no
+    static applyPricing(event) {
+        event.pricing = EventPriceService.parse(event.price, { free: event.free });
+        event.free = event.pricing.free;
+        return event;
+    }
+
+    // Campos que se derivan de los de las fuentes: categorías, horario y precio
+    static applyDerivedFields(event) {
+        return this.applyPricing(this.applySchedule(this.applyCategories(event)));
+    }
+
     static fromJSON(json) {
-        return new Event({
+        return this.applyDerivedFields(new Event({
             id: json.id,
             title: json.title,
             description: json.description,
@@ -38,6 +64,7 @@ class EventDomainService {
             dtend: json.dtend,
             time: json.time || '',
             audience: this.normalizeAudience(json.audience),
+            sourceCategories: json.sourceCategories ?? EventCategoryService.fromTypes(json['@type']),
             eventLocation: json['event-location'] || json.eventLocation,
             locality: json.address?.area?.locality || json.locality || '',
             postalCode: json.address?.area?.['postal-code'] || json['postal-code'] || '',
@@ -52,8 +79,13 @@ class EventDomainService {
             distance: json.distance,
             subway: json.subway,
             subwayLines: json.subwayLines,
-            excludedDays: json['excluded-days']
-        });
+            transit: json.transit,
+            excludedDays: json['excluded-days'],
+            recurrence: json.recurrence,
+            sourceIds: json.sourceIds,
+            fingerprint: json.fingerprint,
+            sourceHashes: json.sourceHashes
+        }));
     }
 
     static fromXMLData(xmlEvent) {
@@ -78,25 +110,21 @@ class EventDomainService {
             this.processMultimedia(event, xmlEvent.multimedia[0]);
         }
 
-        return event;
+        return this.applyDerivedFields(event);
     }
 
+    // Sigue activo hasta el instante en que termina; un dtend sin hora dura hasta el final del día en Madrid
     static isActive(event) {
-        const currentDate = new Date();
-        const endDate = new Date(event.dtend);
-        const startDate = new Date(event.dtstart);
-        const hasValidEnd = !Number.isNaN(endDate.getTime());
-        const hasValidStart = !Number.isNaN(startDate.getTime());
-        if (!hasValidEnd || !hasValidStart) {
+        const endDate = DateUtils.parseDateTime(event.dtend, { endOfDay: true });
+        const startDate = DateUtils.parseDateTime(event.dtstart);
+        if (!endDate || !startDate) {
             return true;
         }
-        return endDate >= currentDate;
+        return endDate >= new Date();
     }
 
     static isFree(event) {
-        if (event.free) return true;
-        const lowercasePrice = event.price.toLowerCase();
-        return lowercasePrice.includes('gratis') || lowercasePrice.includes('gratuit');
+        return event.free || EventPriceService.parse(event.price).free;
     }
 
     static hasValidCoordinates(event) {
@@ -146,13 +174,14 @@ class EventDomainService {
         }
     }
 
+    // Las categorías de esmadrid se guardan como categorías de origen; de ellas solo se deduce el público infantil
     static processCategories(event, categoria) {
-        const rawAudience = [];
+        const rawCategories = [];
         if (categoria.item) {
             const categoriaItem = categoria.item.find(item =>
                 item.$ && item.$.name === 'Categoria');
             if (categoriaItem && categoriaItem._) {
-                rawAudience.push(categoriaItem._);
+                rawCategories.push(categoriaItem._);
             }
         }
 
@@ -162,12 +191,13 @@ class EventDomainService {
                     const subcategoriaItem = subcategoria.item.find(item =>
                         item.$ && item.$.name === 'SubCategoria');
                     if (subcategoriaItem && subcategoriaItem._) {
-                        rawAudience.push(subcategoriaItem._);
+                        rawCategories.push(subcategoriaItem._);
                     }
                 }
             });
         }
-        event.audience = this.normalizeAudience(rawAudience);
+        event.sourceCategories = rawCategories;
+        event.audience = this.hasChildrenKeyword(rawCategories) ? ['children'] : [];
     }
 
     static processExtraItems(event, items) {
@@ -183,20 +213,22 @@ class EventDomainService {
     static processPrice(event, priceText) {
         const cleanPrice = this.cleanCDATA(priceText);
         event.price = cleanPrice;
-        event.free = cleanPrice.toLowerCase().includes('gratuito') ||
-                     cleanPrice.toLowerCase().includes('gratis');
+        event.free = EventPriceService.parse(cleanPrice).free;
     }
 
     static processDates(event, rango) {
         if (rango.inicio && rango.fin) {
             event.dtstart = this.convertDateFormat(rango.inicio[0]);
-            event.dtend = this.convertDateFormat(rango.fin[0]);
+            event.dtend = this.convertDateFormat(rango.fin[0], { endOfDay: true });
         }
     }
 
-    static convertDateFormat(dateStr) {
+    // Las fechas de esmadrid ("19/10/2024") son días en Madrid: empiezan a medianoche local y, con endOfDay, acaban al final del día
+    static convertDateFormat(dateStr, { endOfDay = false } = {}) {
         const [day, month, year] = dateStr.split('/');
-        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T00:00:00.000Z`;
+        const localDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        const instant = endOfDay ? DateUtils.getLocalDayEnd(localDate) : DateUtils.getLocalDayStart(localDate);
+        return instant ? instant.toISOString() : '';
     }
 
     static processMultimedia(event, multimedia) {
@@ -0,0 +1,82 @@
+const StringUtils = require('../utils/stringUtils');
+
+// Importes con punto de miles ("1.200", "1.200,50") o con decimales ("12,50", "12.5")
+const NUMBER = '(\\d{1,3}(?:\\.\\d{3})+(?:,\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)';
+const THOUSANDS_PATTERN = /^\d{1,3}(?:\.\d{3})+(?:,\d{1,2})?$/;
+// Rangos con la moneda al final: "de 12 a 25 €", "12-25 euros", "entre 12 y 25 €"
+const RANGE_PATTERN = new RegExp(`${NUMBER}\\s*(?:€|euros?)?\\s*(?:-|–|a|y)\\s*${NUMBER}\\s*(?:€|eur(?:os?)?\\b)`, 'g');
+// Importes en euros: "12 €", "12,50 euros", "€ 8", "8 EUR", "1.200 €"
+const AMOUNT_PATTERN = new RegExp(`(?:€|\\beur(?:os?)?\\b)\\s*${NUMBER}|${NUMBER}\\s*(?:€|eur(?:os?)?\\b)`, 'g');
+const FREE_PATTERN = /\b(?:gratis|gratuit[oa]s?|entrada libre|acceso libre|sin coste)\b/;
+const BOOKING_PATTERN = /\b(?:reservas?|inscripcion(?:es)?|inscribirse|invitacion(?:es)?|previa)\b/;
+const CHILD_PATTERN = /\b(?:nin[oa]s?|infantil(?:es)?|menores|bebes)\b/;
+const REDUCED_PATTERN = /\b(?:reducid[oa]s?|descuentos?|bonificad[oa]s?|jubilad[oa]s?|pensionistas?|estudiantes?|desemplead[oa]s?|carne joven|mayores de 65|familias? numerosas?|grupos?)\b/;
+
+function toNumber(value) {
+    const decimal = THOUSANDS_PATTERN.test(value) ? value.replace(/\./g, '') : value;
+    return Number(decimal.replace(',', '.'));
+}
+
+function parseAmounts(text) {
+    const amounts = [];
+    const rest = text.replace(RANGE_PATTERN, (match, from, to) => {
+        amounts.push(toNumber(from), toNumber(to));
+        return ' ';
+    });
+    for (const match of rest.matchAll(AMOUNT_PATTERN)) {
+        amounts.push(toNumber(match[1] || match[2]));
+    }
+    return amounts.filter(Number.isFinite);
+}
+
+function minOf(values) {
+    return values.length > 0 ? Math.min(...values) : null;
+}
+
+function maxOf(values) {
+    return values.length > 0 ? Math.max(...values) : null;
+}
+
+/**
+ * Precio estructurado a partir del texto libre de price: importes en euros de la entrada general
+ * (min y max), reducida e infantil, si es gratis y si lo es con reserva o inscripción.
+ * Las frases que hablan de niños o de descuentos no cuentan para min y max salvo que no haya otras.
+ */
+class EventPriceService {
+    static parse(price, { free = false } = {}) {
+        const text = StringUtils.foldDiacritics(price || '');
+        const clauses = text.split(/[;\n|/()]|,(?!\d)|\.(?!\d)/).map(clause => clause.trim()).filter(Boolean);
+
+        const general = [];
+        const reduced = [];
+        const child = [];
+        let hasFreeAdmission = false;
+        for (const clause of clauses) {
+            const amounts = parseAmounts(clause);
+            const isFree = FREE_PATTERN.test(clause) && amounts.length === 0;
+            const values = isFree ? [0] : amounts;
+            if (CHILD_PATTERN.test(clause)) {
+                child.push(...values);
+            } else if (REDUCED_PATTERN.test(clause)) {
+                reduced.push(...values);
+            } else {
+                general.push(...amounts);
+                hasFreeAdmission = hasFreeAdmission || isFree;
+            }
+        }
+
+        const others = [...reduced, ...child];
+        const isFree = free || (hasFreeAdmission && general.length === 0);
+        const amounts = general.length > 0 ? general : others;
+        return {
+            free: isFree,
+            freeWithBooking: isFree && BOOKING_PATTERN.test(text),
+            min: isFree ? 0 : minOf(amounts),
+            max: isFree ? maxOf(general) ?? 0 : maxOf(amounts),
+            reduced: minOf(reduced),
+            child: minOf(child)
+        };
+    }
+}
+
+module.exports = EventPriceService;
@@ -0,0 +1,59 @@
+const EventDomainService = require('./EventDomainService');
+const StringUtils = require('../utils/stringUtils');
+
+// Campos que vienen de las fuentes, agrupados por tipo de cambio.
+// Los que rellenan las colas (distrito, metro, imagen...) no generan revisiones.
+const TRACKED_FIELDS = {
+    rescheduled: ['dtstart', 'dtend', 'time', 'excluded-days'],
+    'price-changed': ['price', 'free'],
+    'venue-changed': ['event-location', 'street-address', 'postal-code', 'latitude', 'longitude'],
+    updated: ['title', 'description', 'audience', 'organization-name', 'link']
+};
+
+const CANCELLED_PATTERN = /\b(cancelad[oa]s?|suspendid[oa]s?|anulad[oa]s?|aplazad[oa]s?)\b/;
+
+class EventRevisionService {
+    static isCancelled(event) {
+        return CANCELLED_PATTERN.test(StringUtils.foldDiacritics(event.title || ''));
+    }
+
+    /**
+     * Compara el documento almacenado con el evento que se va a guardar.
+     * Devuelve los tipos de cambio y la lista de campos modificados con su valor anterior y nuevo.
+     */
+    static diff(previousDoc, event) {
+        if (!previousDoc) {
+            return { changeTypes: ['created'], changes: [] };
+        }
+
+        const before = EventDomainService.fromJSON(previousDoc).toJSON();
+        const after = event.toJSON();
+        const changeTypes = [];
+        const changes = [];
+
+        for (const [changeType, fields] of Object.entries(TRACKED_FIELDS)) {
+            const changed = fields.filter(field => !this.isSameValue(before[field], after[field]));
+            if (changed.length > 0) {
+                changeTypes.push(changeType);
+                changed.forEach(field => changes.push({
+                    field,
+                    from: before[field] ?? null,
+                    to: after[field] ?? null
+                }));
+            }
+        }
+
+        if (!this.isCancelled(previousDoc) && this.isCancelled(event)) {
+            changeTypes.unshift('cancelled');
+        }
+
+        return { changeTypes, changes };
+    }
+
+    static isSameValue(a, b) {
+        const normalize = value => (value === undefined || value === '' ? null : value);
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+}
+
+module.exports = EventRevisionService;
@@ -0,0 +1,319 @@
+const DateUtils = require('../utils/dateUtils');
+const StringUtils = require('../utils/stringUtils');
+
+// Días de la semana en el orden de los horarios (de lunes a domingo)
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEKDAY_NAMES = {
+    lunes: 'mon',
+    martes: 'tue',
+    miercoles: 'wed',
+    jueves: 'thu',
+    viernes: 'fri',
+    sabado: 'sat',
+    sabados: 'sat',
+    domingo: 'sun',
+    domingos: 'sun'
+};
+// Códigos de los días excluidos y de la recurrencia de datos.madrid.es
+const WEEKDAY_CODES = {
+    L: 'mon', M: 'tue', X: 'wed', J: 'thu', V: 'fri', S: 'sat', D: 'sun',
+    MO: 'mon', TU: 'tue', WE: 'wed', TH: 'thu', FR: 'fri', SA: 'sat', SU: 'sun'
+};
+const WEEKDAY_GROUPS = [
+    { pattern: /\b(?:todos los dias|diario|diariamente)\b/, weekdays: WEEKDAYS },
+    { pattern: /\bfin(?:es)? de semana\b/, weekdays: ['sat', 'sun'] },
+    { pattern: /\b(?:laborables|entre semana)\b/, weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'] }
+];
+const WEEKDAY_NAME_PATTERN = '(lunes|martes|miercoles|jueves|viernes|sabados?|domingos?)';
+const WEEKDAY_RANGE_PATTERN = new RegExp(`${WEEKDAY_NAME_PATTERN}\\s*(?:a|al|-|–|hasta)\\s*(?:el\\s+)?${WEEKDAY_NAME_PATTERN}`, 'g');
+const WEEKDAY_PATTERN = new RegExp(`\\b${WEEKDAY_NAME_PATTERN}\\b`, 'g');
+// Rangos con iniciales ("L-V", "L a V"); las iniciales sueltas se confundirían con otras palabras
+const WEEKDAY_CODE_RANGE_PATTERN = /\b([lmxjvsd])\s*(?:a|al|-|–|hasta)\s*([lmxjvsd])\b/g;
+// "10:00", "10.30", "20 h"; no confunde los números de las fechas (19.10.2024, 19/10)
+const TIME_PATTERN = /(?<![\d.:/])(\d{1,2})(?:[:.](\d{2}))?(?![\d/]|[.:]\d)(\s*(?:h|hrs?|horas)\b)?/g;
+const TIME_RANGE_SEPARATOR = /^\s*(?:-|–|a|al|hasta)\s*(?:las\s+)?$/;
+const EXCLUSION_PATTERN = /\b(?:excepto|salvo|menos|excluidos?)\b/;
+const CLOSED_PATTERN = /\b(?:cerrados?|cierra|cierre|sin sesion|no hay)\b/;
+const DATE_PATTERN = /(\d{4})-(\d{2})-(\d{2})|(\d{1,2})\/(\d{1,2})\/(\d{4})/g;
+// Franjas del día por la hora de comienzo de las sesiones; evening incluye la madrugada
+const TIMES_OF_DAY = [
+    { id: 'morning', from: '06:00' },
+    { id: 'afternoon', from: '14:00' },
+    { id: 'evening', from: '19:00' }
+];
+
+const DEFAULT_OCCURRENCE_DAYS = 60;
+const MAX_OCCURRENCES = 100;
+
+function sortWeekdays(weekdays) {
+    return WEEKDAYS.filter(weekday => weekdays.includes(weekday));
+}
+
+function weekdayRange(from, to) {
+    const start = WEEKDAYS.indexOf(from);
+    const length = (WEEKDAYS.indexOf(to) - start + WEEKDAYS.length) % WEEKDAYS.length + 1;
+    return Array.from({ length }, (_, index) => WEEKDAYS[(start + index) % WEEKDAYS.length]);
+}
+
+// Días de la semana que menciona un texto ya sin tildes: nombres, rangos y grupos
+function parseWeekdays(text) {
+    const weekdays = new Set();
+    const withoutRanges = text
+        .replace(WEEKDAY_RANGE_PATTERN, (match, from, to) => {
+            weekdayRange(WEEKDAY_NAMES[from], WEEKDAY_NAMES[to]).forEach(weekday => weekdays.add(weekday));
+            return ' ';
+        })
+        .replace(WEEKDAY_CODE_RANGE_PATTERN, (match, from, to) => {
+            weekdayRange(WEEKDAY_CODES[from.toUpperCase()], WEEKDAY_CODES[to.toUpperCase()])
+                .forEach(weekday => weekdays.add(weekday));
+            return ' ';
+        });
+    for (const [, name] of withoutRanges.matchAll(WEEKDAY_PATTERN)) {
+        weekdays.add(WEEKDAY_NAMES[name]);
+    }
+    WEEKDAY_GROUPS
+        .filter(group => group.pattern.test(text))
+        .forEach(group => group.weekdays.forEach(weekday => weekdays.add(weekday)));
+    return sortWeekdays([...weekdays]);
+}
+
+// Horas de un texto; las sueltas sin minutos ni "h" (edades, números) no cuentan
+function parseTimes(text) {
+    const tokens = [];
+    for (const match of text.matchAll(TIME_PATTERN)) {
+        const hour = Number(match[1]);
+        const minute = Number(match[2] || 0);
+        if (hour > 24 || minute > 59) {
+            continue;
+        }
+        tokens.push({
+            value: `${String(hour % 24).padStart(2, '0')}:${String(minute).padStart(2, '0')}`,
+            explicit: match[2] !== undefined || match[3] !== undefined,
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+
+    const times = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        const isRange = next && TIME_RANGE_SEPARATOR.test(text.slice(token.end, next.start)) &&
+            (token.explicit || next.explicit);
+        if (isRange) {
+            times.push({ start: token.value, end: next.value });
+            i++;
+        } else if (token.explicit) {
+            times.push({ start: token.value, end: null });
+        }
+    }
+    return times;
+}
+
+// Días de la semana entre dtstart y dtend si son menos de una semana; null si no se sabe o son todos
+function spanWeekdays(event) {
+    const firstDay = DateUtils.toLocalDate(event.dtstart);
+    const lastDay = DateUtils.toLocalDate(event.dtend) || firstDay;
+    if (!firstDay || lastDay < firstDay || DateUtils.diffDays(firstDay, lastDay) >= WEEKDAYS.length - 1) {
+        return null;
+    }
+    const weekdays = [];
+    for (let day = firstDay; day <= lastDay; day = DateUtils.addDays(day, 1)) {
+        weekdays.push(DateUtils.getWeekday(day));
+    }
+    return weekdays;
+}
+
+// Hora de dtstart como única sesión de los eventos cuyo horario no indica horas
+function startTimes(event) {
+    const time = DateUtils.toLocalTime(DateUtils.parseDateTime(event.dtstart));
+    return time && time !== '00:00' ? [{ start: time, end: null }] : [];
+}
+
+// Une "De martes a domingo." y "De 10:00 a 20:00 h." cuando vienen en frases distintas
+function mergeRules(rules) {
+    const merged = [];
+    for (const rule of rules) {
+        const previous = merged[merged.length - 1];
+        const completes = previous &&
+            ((previous.weekdays.length > 0 && previous.times.length === 0 && rule.weekdays.length === 0) ||
+            (previous.weekdays.length === 0 && previous.times.length > 0 && rule.times.length === 0));
+        if (completes) {
+            merged[merged.length - 1] = {
+                weekdays: previous.weekdays.length > 0 ? previous.weekdays : rule.weekdays,
+                times: previous.times.length > 0 ? previous.times : rule.times
+            };
+        } else {
+            merged.push(rule);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Horario estructurado de los eventos a partir del texto libre de time (el Horario de esmadrid),
+ * excluded-days y la recurrencia de datos.madrid.es:
+ *   rules: [{ weekdays, times: [{ start, end }] }] con los días y horas de las sesiones,
+ *   weekdays: días de la semana con alguna sesión, excludedDates: días sin sesión ("YYYY-MM-DD"),
+ *   interval: cada cuántas semanas se repite.
+ * Un evento sin información de horario tiene sesión todos los días entre dtstart y dtend.
+ */
+class EventScheduleService {
+    static getTimeOfDayIds() {
+        return TIMES_OF_DAY.map(timeOfDay => timeOfDay.id);
+    }
+
+    // Franja del día de una hora "HH:MM"
+    static getTimeOfDay(time) {
+        const current = [...TIMES_OF_DAY].reverse().find(timeOfDay => time >= timeOfDay.from);
+        return (current || TIMES_OF_DAY[TIMES_OF_DAY.length - 1]).id;
+    }
+
+    static parseText(text) {
+        const rules = [];
+        const excludedWeekdays = new Set();
+        const clauses = StringUtils.foldDiacritics(text)
+            .split(/[;\n]|\.(?!\d)/)
+            .map(clause => clause.trim())
+            .filter(Boolean);
+
+        for (const clause of clauses) {
+            if (CLOSED_PATTERN.test(clause)) {
+                parseWeekdays(clause).forEach(weekday => excludedWeekdays.add(weekday));
+                continue;
+            }
+            // Tras "excepto" solo se descartan los días: las horas de toda la frase siguen contando
+            const exclusion = EXCLUSION_PATTERN.exec(clause);
+            const included = exclusion ? clause.slice(0, exclusion.index) : clause;
+            if (exclusion) {
+                parseWeekdays(clause.slice(exclusion.index)).forEach(weekday => excludedWeekdays.add(weekday));
+            }
+
+            const rule = { weekdays: parseWeekdays(included), times: parseTimes(clause) };
+            if (rule.weekdays.length > 0 || rule.times.length > 0) {
+                rules.push(rule);
+            }
+        }
+        return { rules: mergeRules(rules), excludedWeekdays: [...excludedWeekdays] };
+    }
+
+    // excluded-days: fechas (dd/mm/aaaa o aaaa-mm-dd) y días de la semana (nombres o códigos)
+    static parseExcludedDays(value) {
+        const text = Array.isArray(value) ? value.join(',') : String(value || '');
+        const dates = [];
+        for (const match of text.matchAll(DATE_PATTERN)) {
+            const date = match[1]
+                ? `${match[1]}-${match[2]}-${match[3]}`
+                : `${match[6]}-${match[5].padStart(2, '0')}-${match[4].padStart(2, '0')}`;
+            if (DateUtils.isLocalDate(date)) {
+                dates.push(date);
+            }
+        }
+
+        const rest = text.replace(DATE_PATTERN, ' ');
+        const weekdays = new Set(parseWeekdays(StringUtils.foldDiacritics(rest)));
+        rest.split(/[\s,;|]+/)
+            .map(token => WEEKDAY_CODES[token.trim()])
+            .filter(Boolean)
+            .forEach(weekday => weekdays.add(weekday));
+
+        return { weekdays: [...weekdays], dates: [...new Set(dates)].sort() };
+    }
+
+    // recurrence de datos.madrid.es: { days: "MO,WE", frequency: "WEEKLY", interval: 1 }
+    static parseRecurrence(recurrence) {
+        if (!recurrence || typeof recurrence !== 'object') {
+            return { weekdays: [], interval: 1 };
+        }
+        const frequency = String(recurrence.frequency || '').toUpperCase();
+        const weekdays = frequency === 'DAILY'
+            ? WEEKDAYS
+            : String(recurrence.days || '').split(/[\s,]+/).map(code => WEEKDAY_CODES[code.toUpperCase()]).filter(Boolean);
+        const interval = parseInt(recurrence.interval, 10);
+        return {
+            weekdays: sortWeekdays(weekdays),
+            interval: frequency === 'WEEKLY' && interval > 1 ? interval : 1
+        };
+    }
+
+    /**
+     * Horario de un evento (time, excluded-days, recurrence, dtstart y dtend). Los días de las reglas
+     * se limitan a los que caen entre dtstart y dtend: si no cae ninguno, la regla no tiene sesiones.
+     * timesOfDay son las franjas en que empieza alguna sesión y slots los pares "día:franja"
+     * ("sat:evening") de cada sesión.
+     */
+    static parse(event) {
+        const { time, excludedDays, recurrence } = event;
+        const text = this.parseText(time || '');
+        const excluded = this.parseExcludedDays(excludedDays);
+        const repeat = this.parseRecurrence(recurrence);
+        const excludedWeekdays = new Set([...text.excludedWeekdays, ...excluded.weekdays]);
+        const span = spanWeekdays(event);
+        const hasTimes = text.rules.some(rule => rule.times.length > 0);
+
+        const rules = (text.rules.length > 0 ? text.rules : [{ weekdays: [], times: [] }])
+            .map(rule => {
+                const weekdays = rule.weekdays.length > 0
+                    ? rule.weekdays
+                    : (repeat.weekdays.length > 0 ? repeat.weekdays : WEEKDAYS);
+                const open = weekdays.filter(weekday => !excludedWeekdays.has(weekday));
+                const active = open.length > 0 ? open : weekdays;
+                return {
+                    weekdays: span ? active.filter(weekday => span.includes(weekday)) : active,
+                    times: hasTimes ? rule.times : startTimes(event)
+                };
+            });
+
+        const slots = rules.flatMap(rule => rule.times.flatMap(({ start }) =>
+            rule.weekdays.map(weekday => `${weekday}:${this.getTimeOfDay(start)}`)));
+        return {
+            rules,
+            weekdays: sortWeekdays(rules.flatMap(rule => rule.weekdays)),
+            timesOfDay: this.getTimeOfDayIds().filter(id => slots.some(slot => slot.endsWith(`:${id}`))),
+            slots: [...new Set(slots)],
+            excludedDates: excluded.dates,
+            interval: repeat.interval
+        };
+    }
+
+    /**
+     * Sesiones concretas del evento entre dos días locales ("YYYY-MM-DD"), dentro de dtstart..dtend:
+     * [{ date, start, end }], con start y end null si no se conoce la hora.
+     */
+    static expand(event, options = {}) {
+        const firstDay = DateUtils.toLocalDate(event.dtstart);
+        if (!firstDay) {
+            return [];
+        }
+        const lastDay = DateUtils.toLocalDate(event.dtend) || firstDay;
+        const from = options.from || DateUtils.toLocalDate(new Date());
+        const to = options.to || DateUtils.addDays(from, DEFAULT_OCCURRENCE_DAYS);
+        const limit = options.limit || MAX_OCCURRENCES;
+        const schedule = event.schedule || this.parse(event);
+        const firstWeek = DateUtils.addDays(firstDay, -WEEKDAYS.indexOf(DateUtils.getWeekday(firstDay)));
+
+        const occurrences = [];
+        const end = lastDay < to ? lastDay : to;
+        for (let day = firstDay > from ? firstDay : from; day <= end && occurrences.length < limit; day = DateUtils.addDays(day, 1)) {
+            const inWeek = Math.floor(DateUtils.diffDays(firstWeek, day) / 7) % schedule.interval === 0;
+            if (!inWeek || schedule.excludedDates.includes(day)) {
+                continue;
+            }
+            const weekday = DateUtils.getWeekday(day);
+            const rules = schedule.rules.filter(rule => rule.weekdays.includes(weekday));
+            if (rules.length === 0) {
+                continue;
+            }
+            const times = rules.flatMap(rule => rule.times);
+            if (times.length === 0) {
+                occurrences.push({ date: day, start: null, end: null });
+            }
+            times
+                .sort((a, b) => a.start.localeCompare(b.start))
+                .forEach(({ start, end: endTime }) => occurrences.push({ date: day, start, end: endTime }));
+        }
+        return occurrences.slice(0, limit);
+    }
+}
+
+module.exports = EventScheduleService;
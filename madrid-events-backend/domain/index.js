@@ -1,7 +1,17 @@
 const Event = require('./Event');
 const EventDomainService = require('./EventDomainService');
+const EventDeduplicationService = require('./EventDeduplicationService');
+const EventRevisionService = require('./EventRevisionService');
+const EventCategoryService = require('./EventCategoryService');
+const EventScheduleService = require('./EventScheduleService');
+const EventPriceService = require('./EventPriceService');
 
 module.exports = {
     Event,
-    EventDomainService
+    EventDomainService,
+    EventDeduplicationService,
+    EventRevisionService,
+    EventCategoryService,
+    EventScheduleService,
+    EventPriceService
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+
+function tokensMatch(provided, expected) {
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(expected);
+    return providedBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+// Admin auth middleware: requiere "Authorization: Bearer <ADMIN_API_TOKEN>"
+const adminAuth = (req, res, next) => {
+    if (!constants.ADMIN_API_TOKEN) {
+        logger.warn('Admin API request rejected: ADMIN_API_TOKEN is not configured', {
+            path: req.originalUrl
+        });
+        return res.status(503).json({
+            error: 'Admin API is disabled'
+        });
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token || !tokensMatch(token, constants.ADMIN_API_TOKEN)) {
+        logger.warn('Unauthorized admin API request', {
+            path: req.originalUrl,
+            ip: req.ip
+        });
+        return res.status(401).json({
+            error: 'Unauthorized'
+        });
+    }
+
+    next();
+};
+
+module.exports = adminAuth;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+const sources = require('../sources');
+const IngestionRunStore = require('../service/ingestionRunStore');
+const ValidationUtils = require('../utils/validationUtils');
+
+const RUN_STATUSES = Object.values(IngestionRunStore.STATUS);
+
+function getIngestionRuns(res) {
+    const ingestionRuns = typeof global.getIngestionRuns === 'function' ? global.getIngestionRuns() : null;
+    if (!ingestionRuns) {
+        logger.error('Ingestion services are not initialized');
+        res.status(503).json({
+            error: 'Ingestion services unavailable'
+        });
+        return null;
+    }
+    return ingestionRuns;
+}
+
+// Fuentes con su programación, próxima ejecución y últimas ejecuciones
+router.get('/', async (req, res) => {
+    try {
+        const ingestionRuns = getIngestionRuns(res);
+        if (!ingestionRuns) return;
+
+        const sourceNames = sources.getSources().map(source => source.name);
+        const schedules = global.getIngestionSchedules();
+        const lastRuns = await ingestionRuns.getLastRuns(sourceNames);
+
+        res.json({
+            inProgress: !!global.isEventsFetchInProgress,
+            sources: sourceNames.map(name => {
+                const schedule = schedules.find(entry => entry.source === name);
+                return {
+                    name,
+                    schedule: schedule ? schedule.schedule : null,
+                    timeZone: constants.TIMEZONE,
+                    nextRunAt: schedule ? schedule.nextRunAt : null,
+                    ...lastRuns[name]
+                };
+            })
+        });
+    } catch (error) {
+        logger.error('Error fetching ingestion status:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching ingestion status',
+            details: error.message
+        });
+    }
+});
+
+// Historial de ejecuciones, filtrable por fuente y estado
+router.get('/runs', async (req, res) => {
+    try {
+        const ingestionRuns = getIngestionRuns(res);
+        if (!ingestionRuns) return;
+
+        const { source, status, limit, page } = req.query;
+        if (status && !RUN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Invalid status. Expected one of: ${RUN_STATUSES.join(', ')}`
+            });
+        }
+
+        const normalizedLimit = ValidationUtils.parseInteger(limit, {
+            min: 1,
+            max: constants.MAX_PAGE_SIZE,
+            defaultValue: 50
+        });
+        const normalizedPage = ValidationUtils.parseInteger(page, {
+            min: 1,
+            max: Number.MAX_SAFE_INTEGER,
+            defaultValue: 1
+        });
+
+        const runs = await ingestionRuns.list({
+            source,
+            status,
+            limit: normalizedLimit,
+            skip: (normalizedPage - 1) * normalizedLimit
+        });
+        res.json(runs);
+    } catch (error) {
+        logger.error('Error fetching ingestion runs:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching ingestion runs',
+            details: error.message
+        });
+    }
+});
+
+// Lanza una ingesta manual de una fuente ({ "source": "esmadrid" }) o de todas
+router.post('/runs', (req, res) => {
+    if (!getIngestionRuns(res)) return;
+
+    const { source } = req.body || {};
+    if (typeof source !== 'undefined' && (typeof source !== 'string' || !sources.getSource(source))) {
+        return res.status(404).json({
+            error: 'Source not found',
+            sources: sources.getSources().map(entry => entry.name)
+        });
+    }
+
+    if (global.isEventsFetchInProgress) {
+        return res.status(409).json({
+            error: 'An ingestion run is already in progress'
+        });
+    }
+
+    const sourceNames = source ? [source] : null;
+    global.runIngestion({ sourceNames, trigger: 'manual' }).catch(error => {
+        logger.error('Manual ingestion failed', {
+            error: error.message,
+            stack: error.stack
+        });
+    });
+
+    logger.info('Manual ingestion triggered', { source: source || 'all' });
+    res.status(202).json({
+        accepted: true,
+        sources: sourceNames || sources.getSources().map(entry => entry.name)
+    });
+});
+
+module.exports = router;
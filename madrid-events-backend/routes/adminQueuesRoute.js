@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger');
+const database = require('../service/database');
+const constants = require('../config/constants');
+const JobStore = require('../service/jobStore');
+const ValidationUtils = require('../utils/validationUtils');
+
+const JOB_STATUSES = Object.values(JobStore.STATUS);
+
+function getQueues() {
+    if (typeof global.getEnrichmentQueues !== 'function') {
+        return null;
+    }
+    return global.getEnrichmentQueues();
+}
+
+// Resuelve la cola de la URL o responde con el error correspondiente
+function resolveQueue(req, res) {
+    const queues = getQueues();
+    if (!queues) {
+        logger.error('Enrichment queues are not initialized');
+        res.status(503).json({
+            error: 'Queue services unavailable'
+        });
+        return null;
+    }
+
+    const queue = queues[req.params.queue];
+    if (!queue) {
+        res.status(404).json({
+            error: 'Queue not found',
+            queues: Object.keys(queues)
+        });
+        return null;
+    }
+    return queue;
+}
+
+// Resumen de todas las colas
+router.get('/', async (req, res) => {
+    try {
+        const queues = getQueues();
+        if (!queues) {
+            return res.status(503).json({
+                error: 'Queue services unavailable'
+            });
+        }
+
+        const statuses = await Promise.all(Object.values(queues).map(queue => queue.getStatus()));
+        res.json(statuses);
+    } catch (error) {
+        logger.error('Error fetching queue statuses:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching queue statuses',
+            details: error.message
+        });
+    }
+});
+
+// Trabajos de una cola, filtrables por estado (pending, processing, failed)
+router.get('/:queue/jobs', async (req, res) => {
+    try {
+        const queue = resolveQueue(req, res);
+        if (!queue) return;
+
+        const { status, limit, page } = req.query;
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `Invalid status. Expected one of: ${JOB_STATUSES.join(', ')}`
+            });
+        }
+
+        const normalizedLimit = ValidationUtils.parseInteger(limit, {
+            min: 1,
+            max: constants.MAX_PAGE_SIZE,
+            defaultValue: 50
+        });
+        const normalizedPage = ValidationUtils.parseInteger(page, {
+            min: 1,
+            max: Number.MAX_SAFE_INTEGER,
+            defaultValue: 1
+        });
+
+        const jobs = await queue.getJobs(status, {
+            limit: normalizedLimit,
+            skip: (normalizedPage - 1) * normalizedLimit
+        });
+        res.json(jobs);
+    } catch (error) {
+        logger.error('Error fetching queue jobs:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching queue jobs',
+            details: error.message
+        });
+    }
+});
+
+router.post('/:queue/pause', (req, res) => {
+    const queue = resolveQueue(req, res);
+    if (!queue) return;
+
+    queue.pause();
+    res.json({
+        queue: queue.name,
+        provider: queue.provider,
+        paused: true
+    });
+});
+
+router.post('/:queue/resume', (req, res) => {
+    const queue = resolveQueue(req, res);
+    if (!queue) return;
+
+    queue.resume();
+    res.json({
+        queue: queue.name,
+        provider: queue.provider,
+        paused: false
+    });
+});
+
+// Con eventIds vuelve a encolar esos eventos; sin ellos reintenta todos los fallidos
+router.post('/:queue/retry', async (req, res) => {
+    try {
+        const queue = resolveQueue(req, res);
+        if (!queue) return;
+
+        const { eventIds } = req.body || {};
+
+        if (typeof eventIds === 'undefined') {
+            const replayed = await queue.replayDeadLetters();
+            return res.json({
+                queue: queue.name,
+                replayed
+            });
+        }
+
+        if (!Array.isArray(eventIds) || eventIds.length === 0 || !eventIds.every(id => typeof id === 'string')) {
+            return res.status(400).json({
+                error: 'eventIds must be a non-empty array of strings'
+            });
+        }
+
+        const db = await database.getDb();
+        const events = await db.collection(constants.COLLECTION_NAME)
+            .find({ id: { $in: eventIds } })
+            .toArray();
+
+        const requeued = [];
+        const skipped = [];
+        for (const event of events) {
+            const added = await queue.requeueEvent(event);
+            (added ? requeued : skipped).push(event.id);
+        }
+
+        const foundIds = new Set(events.map(event => event.id));
+        const notFound = eventIds.filter(id => !foundIds.has(id));
+
+        logger.info(`Re-enqueued events on ${queue.name} queue`, {
+            requeued: requeued.length,
+            skipped: skipped.length,
+            notFound: notFound.length
+        });
+
+        res.json({
+            queue: queue.name,
+            requeued,
+            skipped,
+            notFound
+        });
+    } catch (error) {
+        logger.error('Error re-enqueueing jobs:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while re-enqueueing jobs',
+            details: error.message
+        });
+    }
+});
+
+// Vacía la cola: status=pending (por defecto), failed o all
+router.delete('/:queue', async (req, res) => {
+    try {
+        const queue = resolveQueue(req, res);
+        if (!queue) return;
+
+        const { status = JobStore.STATUS.PENDING } = req.query;
+        if (![JobStore.STATUS.PENDING, JobStore.STATUS.FAILED, 'all'].includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status. Expected one of: pending, failed, all'
+            });
+        }
+
+        const purged = await queue.clearQueue(status === 'all' ? null : status);
+        res.json({
+            queue: queue.name,
+            status,
+            purged
+        });
+    } catch (error) {
+        logger.error('Error purging queue:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while purging the queue',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger');
+const database = require('../service/database');
+const constants = require('../config/constants');
+const EventRevisionStore = require('../service/eventRevisionStore');
+const ValidationUtils = require('../utils/validationUtils');
+
+// Historial de cambios de un evento (acepta también el id de un registro fusionado en él)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const normalizedLimit = ValidationUtils.parseInteger(req.query.limit, {
+            min: 1,
+            max: constants.MAX_PAGE_SIZE,
+            defaultValue: 50
+        });
+        const normalizedPage = ValidationUtils.parseInteger(req.query.page, {
+            min: 1,
+            max: Number.MAX_SAFE_INTEGER,
+            defaultValue: 1
+        });
+
+        const db = await database.getDb();
+        const event = await db.collection(constants.COLLECTION_NAME).findOne(
+            { $or: [{ id }, { sourceIds: id }] },
+            { projection: { id: 1, sourceIds: 1 } }
+        );
+        const eventIds = event ? [...new Set([event.id, ...(event.sourceIds || [])])] : [id];
+
+        const { revisions, total } = await new EventRevisionStore(db).listForEvent(eventIds, {
+            limit: normalizedLimit,
+            skip: (normalizedPage - 1) * normalizedLimit
+        });
+
+        if (!event && total === 0) {
+            return res.status(404).json({
+                error: 'Event not found'
+            });
+        }
+
+        res.setHeader('X-Total-Count', total);
+        res.json({
+            eventId: event ? event.id : id,
+            sourceIds: eventIds,
+            revisions
+        });
+    } catch (error) {
+        logger.error('Error fetching event history:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching event history',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
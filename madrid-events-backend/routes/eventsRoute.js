@@ -5,70 +5,128 @@ const database = require('../service/database');
 const cache = require('../service/cache');
 const constants = require('../config/constants');
 const ValidationUtils = require('../utils/validationUtils');
+const CoordinateUtils = require('../utils/coordinatesUtils');
+const MapClusterUtils = require('../utils/mapClusterUtils');
+const EventQueryUtils = require('../utils/eventQueryUtils');
+const FacetUtils = require('../utils/facetUtils');
+const SearchUtils = require('../utils/searchUtils');
+const SubwayUtils = require('../utils/subwayUtils');
+const DateUtils = require('../utils/dateUtils');
+const { EventScheduleService } = require('../domain');
 
 const EVENTS_CACHE_TTL_SECONDS = 60 * 60;
+const SEARCH_CACHE_TTL_SECONDS = 5 * 60;
+const MAP_CACHE_TTL_SECONDS = 5 * 60;
+const SUGGEST_CACHE_TTL_SECONDS = 5 * 60;
+const SORT_OPTIONS = ['date', 'distance', 'relevance'];
+const MAX_SUGGESTIONS_PER_TYPE = 10;
+const DEFAULT_OCCURRENCE_DAYS = 60;
+const MAX_OCCURRENCE_DAYS = 366;
 
-function normalizeDateValue(value) {
-    if (!value) return null;
-    if (value instanceof Date && !Number.isNaN(value.getTime())) {
-        return value;
-    }
-    if (typeof value === 'string') {
-        let sanitized = value.trim();
-        if (!sanitized.includes('T')) {
-            sanitized = sanitized.replace(' ', 'T');
-        }
-        const hasTimezone = /Z$|[+-]\d{2}:\d{2}$/.test(sanitized);
-        if (!hasTimezone) {
-            sanitized = sanitized.endsWith('Z') ? sanitized : `${sanitized}Z`;
-        }
-        const parsed = new Date(sanitized);
-        if (!Number.isNaN(parsed.getTime())) {
-            return parsed;
-        }
-    }
-    const fallback = new Date(value);
-    return Number.isNaN(fallback.getTime()) ? null : fallback;
-}
+// Tipos de sugerencia que salen de los campos de los eventos candidatos y el filtro que aplican
+const SUGGESTION_FIELDS = [
+    { type: 'venue', field: 'event-location' },
+    { type: 'organization', field: 'organization-name' },
+    { type: 'barrio', field: 'barrio' }
+];
 
-function eventMatchesDateFilters(event, startDate, endDate, includePastEvents) {
-    const eventStart = normalizeDateValue(event.dtstart);
-    const eventEnd = normalizeDateValue(event.dtend);
-
-    if (startDate && eventStart && eventStart < startDate) {
-        return false;
-    }
-    if (endDate && eventStart && eventStart > endDate) {
-        return false;
-    }
-    if (!includePastEvents) {
-        const now = new Date();
-        if (eventEnd && eventEnd < now) {
-            return false;
-        }
-    }
-    return true;
-}
+// Orden de los resultados de búsqueda, que se puntúan fuera de Mongo
+const SEARCH_RESULT_SORTS = {
+    relevance: (a, b) => b.score - a.score,
+    date: (a, b) => String(a.dtstart || '').localeCompare(String(b.dtstart || '')),
+    distance: (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity)
+};
 
 function buildEventsCacheKey(params) {
     return `events:${JSON.stringify(params)}`;
 }
 
-// Endpoint to get events with optional filters
-router.get('/', async (req, res) => {
+/**
+ * Búsqueda de texto dentro de los filtros: candidatos por trigramas y relevancia
+ * (erratas, prefijos, fecha) calculada aquí. Como mucho MAX_CANDIDATES resultados.
+ */
+async function findSearchResults(collection, query, words, origin, sort) {
+    const candidates = await collection.aggregate([
+        { $match: query },
+        ...SearchUtils.buildCandidateStages(words),
+        { $addFields: { distance: CoordinateUtils.buildDistanceExpression(origin.lat, origin.lon) } }
+    ]).toArray();
+
+    const now = new Date();
+    return candidates
+        .map(doc => {
+            const result = SearchUtils.scoreDocument(doc, words, now);
+            if (!result) {
+                return null;
+            }
+            const { search, ...event } = doc;
+            return {
+                ...event,
+                score: result.score,
+                highlights: SearchUtils.buildHighlights(doc, result.matches)
+            };
+        })
+        .filter(Boolean)
+        .sort(SEARCH_RESULT_SORTS[sort]);
+}
+
+// Listado de eventos con filtros opcionales; q añade la búsqueda de texto y ordena por relevancia
+async function listEvents(req, res) {
     try {
         const {
-            distrito_nombre,
-            barrio_nombre,
             startDate,
             endDate,
             free,
             children,
             limit,
             page,
-            includePast
+            includePast,
+            lat,
+            lon,
+            radius,
+            bbox,
+            polygon,
+            q
         } = req.query;
 
+        const searchTerm = typeof q === 'string' ? q.trim() : '';
+        const words = searchTerm ? SearchUtils.parseQuery(searchTerm) : null;
+        if (words && words.length === 0) {
+            return res.status(400).json({
+                error: 'Search query \'q\' must contain letters or numbers.'
+            });
+        }
+        const sort = req.query.sort || (words ? 'relevance' : 'date');
+
+        // La distancia se calcula en cada petición desde la ubicación del usuario
+        const origin = CoordinateUtils.resolveOrigin(lat, lon, {
+            lat: constants.BASE_LAT,
+            lon: constants.BASE_LON
+        });
+        if (!origin) {
+            return res.status(400).json({
+                error: 'Invalid latitude or longitude'
+            });
+        }
+
+        if (!SORT_OPTIONS.includes(sort)) {
+            return res.status(400).json({
+                error: `Invalid sort. Expected one of: ${SORT_OPTIONS.join(', ')}`
+            });
+        }
+        if (sort === 'relevance' && !words) {
+            return res.status(400).json({
+                error: 'sort=relevance requires a search query \'q\''
+            });
+        }
+
+        const geo = EventQueryUtils.buildGeoConditions({ radius, bbox, polygon }, origin);
+        if (geo.error) {
+            return res.status(400).json({
+                error: geo.error
+            });
+        }
+
         const normalizedLimit = ValidationUtils.parseInteger(limit, {
             min: 1,
             max: constants.MAX_PAGE_SIZE,
@@ -85,15 +143,27 @@ router.get('/', async (req, res) => {
         const includePastEvents = ValidationUtils.parseBoolean(includePast, false);
 
         const cacheParams = {
-            distrito_nombre,
-            barrio_nombre,
+            q: searchTerm || null,
+            facets: FacetUtils.parseSelections(req.query),
+            venue: req.query.venue,
+            organization: req.query.organization,
+            station: req.query.station,
             startDate,
             endDate,
+            date: req.query.date,
+            range: DateUtils.getNamedRange(req.query.range),
             free: ValidationUtils.parseBoolean(free, false),
+            maxPrice: req.query.maxPrice,
             children: ValidationUtils.parseBoolean(children, false),
             limit: shouldPaginate ? normalizedLimit : null,
             page: shouldPaginate ? normalizedPage : null,
-            includePast: includePastEvents
+            includePast: includePastEvents,
+            lat: origin.lat,
+            lon: origin.lon,
+            radius,
+            bbox,
+            polygon,
+            sort
         };
 
         const cacheKey = buildEventsCacheKey(cacheParams);
@@ -109,77 +179,64 @@ router.get('/', async (req, res) => {
         const db = await database.getDb();
         const collection = db.collection(constants.COLLECTION_NAME);
 
-        const query = {};
-        if (distrito_nombre) query.distrito = distrito_nombre;
-        if (barrio_nombre) query.barrio = barrio_nombre;
-
-        const parsedStart = ValidationUtils.parseDate(startDate);
-        const parsedEnd = ValidationUtils.parseDate(endDate);
-
-        if (parsedStart && parsedEnd && parsedStart > parsedEnd) {
+        const filters = EventQueryUtils.buildFilterQuery(req.query);
+        if (filters.error) {
             return res.status(400).json({
-                error: 'startDate must be earlier than endDate'
+                error: filters.error
             });
         }
+        const { query } = filters;
 
-        if (ValidationUtils.parseBoolean(free, false)) {
-            query.free = true;
+        const conditions = [...filters.conditions, ...geo.conditions];
+        if (conditions.length > 0) {
+            query.$and = conditions;
         }
 
-        if (ValidationUtils.parseBoolean(children, false)) {
-            query.audience = { $in: ['children'] };
-        }
+        if (words) {
+            logger.debug(`Performing database search for term: ${searchTerm}`, { words });
+            const results = await findSearchResults(collection, query, words, origin, sort);
+            const eventsData = shouldPaginate ? results.slice(skip, skip + normalizedLimit) : results;
 
-        const dateConditions = [];
-        if (parsedStart) {
-            const startIso = parsedStart.toISOString();
-            dateConditions.push({
-                $or: [
-                    { dtstart: { $gte: startIso } },
-                    { dtstart: { $exists: false } },
-                    { dtstart: null },
-                    { dtstart: '' }
-                ]
-            });
-        }
-        if (parsedEnd) {
-            const endIso = parsedEnd.toISOString();
-            dateConditions.push({
-                $or: [
-                    { dtstart: { $lte: endIso } },
-                    { dtstart: { $exists: false } },
-                    { dtstart: null },
-                    { dtstart: '' }
-                ]
-            });
-        }
-        if (!includePastEvents) {
-            const nowIso = new Date().toISOString();
-            dateConditions.push({
-                $or: [
-                    { dtend: { $gte: nowIso } },
-                    { dtend: { $exists: false } },
-                    { dtend: null },
-                    { dtend: '' },
-                    { dtstart: { $exists: false } },
-                    { dtstart: null },
-                    { dtstart: '' }
-                ]
-            });
-        }
-        if (dateConditions.length > 0) {
-            query.$and = dateConditions;
+            if (shouldPaginate) {
+                cache.set(cacheKey, { items: eventsData, total: results.length }, SEARCH_CACHE_TTL_SECONDS);
+                res.setHeader('X-Total-Count', results.length);
+                return res.json(eventsData);
+            }
+
+            cache.set(cacheKey, eventsData, SEARCH_CACHE_TTL_SECONDS);
+            return res.json(eventsData);
         }
 
-        let cursor = collection.find(query).sort({ dtstart: 1 });
+        // Ordenar por distancia usa $geoNear sobre el índice 2dsphere: solo eventos con ubicación
+        const pipeline = sort === 'distance'
+            ? [{
+                $geoNear: {
+                    near: CoordinateUtils.toGeoPoint(origin.lat, origin.lon),
+                    key: 'location',
+                    distanceField: 'distance',
+                    distanceMultiplier: 0.001,
+                    spherical: true,
+                    query
+                }
+            }]
+            : [{ $match: query }, { $sort: { dtstart: 1 } }];
         let totalCount;
 
         if (shouldPaginate) {
-            totalCount = await collection.countDocuments(query);
-            cursor = cursor.skip(skip).limit(normalizedLimit);
+            totalCount = await collection.countDocuments(
+                sort === 'distance' ? { ...query, location: { $ne: null } } : query
+            );
+            pipeline.push({ $skip: skip }, { $limit: normalizedLimit });
         }
+        if (sort !== 'distance') {
+            pipeline.push({
+                $addFields: { distance: CoordinateUtils.buildDistanceExpression(origin.lat, origin.lon) }
+            });
+        }
+        // Los campos internos de búsqueda no se devuelven
+        pipeline.push({ $unset: 'search' });
 
-        const eventsData = await cursor.toArray();
+        const eventsData = await collection.aggregate(pipeline).toArray();
 
         if (shouldPaginate) {
             cache.set(cacheKey, { items: eventsData, total: totalCount }, EVENTS_CACHE_TTL_SECONDS);
@@ -190,51 +247,456 @@ router.get('/', async (req, res) => {
         cache.set(cacheKey, eventsData, EVENTS_CACHE_TTL_SECONDS);
         res.json(eventsData);
     } catch (error) {
-        logger.error('Error fetching events:', error.message);
+        logger.error('Error fetching events:', { message: error.message, query: req.query.q });
         res.status(500).json({
             error: 'An error occurred while fetching events',
             details: error.message
         });
     }
+}
+
+router.get('/', listEvents);
+
+// Marcadores del viewport del mapa: clusters (recuento y centroide) o eventos individuales según el zoom
+router.get('/map', async (req, res) => {
+    try {
+        const { bbox, zoom, q } = req.query;
+
+        const searchTerm = typeof q === 'string' ? q.trim() : '';
+        const words = searchTerm ? SearchUtils.parseQuery(searchTerm) : null;
+        if (words && words.length === 0) {
+            return res.status(400).json({
+                error: 'Search query \'q\' must contain letters or numbers.'
+            });
+        }
+
+        const box = CoordinateUtils.parseBoundingBox(bbox);
+        if (!box) {
+            return res.status(400).json({
+                error: 'bbox must be minLon,minLat,maxLon,maxLat'
+            });
+        }
+        const normalizedZoom = ValidationUtils.parseInteger(zoom, {
+            min: 0,
+            max: 22,
+            defaultValue: null
+        });
+        if (normalizedZoom === null) {
+            return res.status(400).json({
+                error: 'zoom must be an integer between 0 and 22'
+            });
+        }
+
+        const filters = EventQueryUtils.buildFilterQuery(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                error: filters.error
+            });
+        }
+
+        const cacheKey = buildEventsCacheKey({
+            view: 'map',
+            bbox: [box.minLon, box.minLat, box.maxLon, box.maxLat],
+            zoom: normalizedZoom,
+            q: searchTerm || null,
+            facets: FacetUtils.parseSelections(req.query),
+            venue: req.query.venue,
+            organization: req.query.organization,
+            station: req.query.station,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            date: req.query.date,
+            range: DateUtils.getNamedRange(req.query.range),
+            free: ValidationUtils.parseBoolean(req.query.free, false),
+            maxPrice: req.query.maxPrice,
+            children: ValidationUtils.parseBoolean(req.query.children, false),
+            includePast: ValidationUtils.parseBoolean(req.query.includePast, false)
+        });
+        const cachedMarkers = cache.get(cacheKey);
+        if (cachedMarkers) {
+            return res.json(cachedMarkers);
+        }
+
+        const db = await database.getDb();
+        const collection = db.collection(constants.COLLECTION_NAME);
+
+        let match = { ...filters.query };
+        if (filters.conditions.length > 0) {
+            match.$and = filters.conditions;
+        }
+        // La búsqueda se resuelve sobre todos los filtros, como en el listado, y luego se recorta al viewport
+        if (words) {
+            const origin = { lat: constants.BASE_LAT, lon: constants.BASE_LON };
+            const results = await findSearchResults(collection, match, words, origin, 'relevance');
+            match = { id: { $in: results.map(event => event.id) } };
+        }
+        match = {
+            ...match,
+            $and: [
+                ...(match.$and || []),
+                { location: CoordinateUtils.buildPolygonFilter(CoordinateUtils.boundingBoxToPolygon(box)) }
+            ]
+        };
+
+        let markers;
+        if (MapClusterUtils.shouldCluster(normalizedZoom)) {
+            const groups = await collection.aggregate(
+                MapClusterUtils.buildClusterPipeline(match, normalizedZoom, box)
+            ).toArray();
+            markers = MapClusterUtils.toMapResponse(groups, normalizedZoom);
+        } else {
+            const pins = await collection.find(match)
+                .project({ _id: 0, ...MapClusterUtils.buildPinProjection() })
+                .sort({ dtstart: 1 })
+                .limit(constants.MAP_MAX_MARKERS)
+                .toArray();
+            markers = { zoom: normalizedZoom, total: pins.length, clusters: [], pins };
+        }
+
+        cache.set(cacheKey, markers, MAP_CACHE_TTL_SECONDS);
+        res.json(markers);
+    } catch (error) {
+        logger.error('Error fetching map markers:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching map markers',
+            details: error.message
+        });
+    }
+});
+
+// Búsqueda de texto; equivale a GET / con q, que además admite los filtros y la paginación
+router.get('/search', (req, res) => {
+    const { q } = req.query;
+    if (!q || typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({ error: 'Search query \'q\' is required and must be a non-empty string.' });
+    }
+    return listEvents(req, res);
+});
+
+/**
+ * Recuento por valor de cada faceta (distrito, barrio, categoría, tramo de precio, público,
+ * línea de metro y día de la semana) para los mismos parámetros que GET /.
+ * facets limita las facetas calculadas (separadas por comas).
+ */
+router.get('/facets', async (req, res) => {
+    try {
+        const origin = CoordinateUtils.resolveOrigin(req.query.lat, req.query.lon, {
+            lat: constants.BASE_LAT,
+            lon: constants.BASE_LON
+        });
+        if (!origin) {
+            return res.status(400).json({
+                error: 'Invalid latitude or longitude'
+            });
+        }
+
+        const facetIds = FacetUtils.getFacetIds();
+        const requested = ValidationUtils.parseList(req.query.facets, { separator: ',' });
+        const invalid = requested.filter(id => !facetIds.includes(id));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: `Invalid facets: ${invalid.join(', ')}. Expected any of: ${facetIds.join(', ')}`
+            });
+        }
+
+        const searchTerm = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const words = searchTerm ? SearchUtils.parseQuery(searchTerm) : null;
+        if (words && words.length === 0) {
+            return res.status(400).json({
+                error: 'Search query \'q\' must contain letters or numbers.'
+            });
+        }
+
+        const geo = EventQueryUtils.buildGeoConditions(req.query, origin);
+        if (geo.error) {
+            return res.status(400).json({
+                error: geo.error
+            });
+        }
+        const filters = EventQueryUtils.buildFilterQuery(req.query);
+        if (filters.error) {
+            return res.status(400).json({
+                error: filters.error
+            });
+        }
+
+        const { radius, bbox, polygon } = req.query;
+        const cacheKey = buildEventsCacheKey({
+            view: 'facets',
+            facetIds: requested.length > 0 ? requested : facetIds,
+            q: searchTerm || null,
+            facets: FacetUtils.parseSelections(req.query),
+            venue: req.query.venue,
+            organization: req.query.organization,
+            station: req.query.station,
+            startDate: req.query.startDate,
+            endDate: req.query.endDate,
+            date: req.query.date,
+            range: DateUtils.getNamedRange(req.query.range),
+            free: ValidationUtils.parseBoolean(req.query.free, false),
+            maxPrice: req.query.maxPrice,
+            children: ValidationUtils.parseBoolean(req.query.children, false),
+            includePast: ValidationUtils.parseBoolean(req.query.includePast, false),
+            origin: typeof radius !== 'undefined' ? origin : null,
+            radius,
+            bbox,
+            polygon
+        });
+        const cachedFacets = cache.get(cacheKey);
+        if (cachedFacets) {
+            return res.json(cachedFacets);
+        }
+
+        // Las condiciones de las facetas se aplican dentro de $facet, cada una en las demás facetas
+        const facetConditions = Object.values(filters.facetConditions);
+        const conditions = [
+            ...filters.conditions.filter(condition => !facetConditions.includes(condition)),
+            ...geo.conditions
+        ];
+        let match = { ...filters.query };
+        if (conditions.length > 0) {
+            match.$and = conditions;
+        }
+
+        const db = await database.getDb();
+        const collection = db.collection(constants.COLLECTION_NAME);
+
+        if (words) {
+            const results = await findSearchResults(collection, match, words, origin, 'relevance');
+            match = { id: { $in: results.map(event => event.id) } };
+        }
+
+        const facetStage = FacetUtils.buildFacetStage(
+            filters.facetSelections,
+            requested.length > 0 ? requested : facetIds
+        );
+        facetStage.$facet.total = [
+            ...(facetConditions.length > 0 ? [{ $match: { $and: facetConditions } }] : []),
+            { $count: 'count' }
+        ];
+
+        const [{ total, ...facets }] = await collection.aggregate([
+            { $match: match },
+            facetStage
+        ]).toArray();
+
+        const response = { total: total[0]?.count || 0, facets };
+        cache.set(cacheKey, response, words ? SEARCH_CACHE_TTL_SECONDS : EVENTS_CACHE_TTL_SECONDS);
+        res.json(response);
+    } catch (error) {
+        logger.error('Error fetching event facets:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching event facets',
+            details: error.message
+        });
+    }
 });
 
-// New endpoint for full-text search
-router.get('/search', async (req, res) => {
+/**
+ * Sugerencias mientras se escribe: eventos, sedes, organizadores, barrios y estaciones de metro.
+ * Los eventos llevan su id; el resto, el valor exacto del filtro que aplican (venue, organization,
+ * barrio_nombre o station).
+ */
+router.get('/suggest', async (req, res) => {
     try {
         const { q } = req.query;
         if (!q || typeof q !== 'string' || q.trim() === '') {
             return res.status(400).json({ error: 'Search query \'q\' is required and must be a non-empty string.' });
         }
 
-        const searchTerm = q.trim();
-        const cacheKey = `search:${searchTerm}`;
+        const words = SearchUtils.parseQuery(q);
+        if (words.length === 0) {
+            return res.json([]);
+        }
+        const limit = ValidationUtils.parseInteger(req.query.limit, {
+            min: 1,
+            max: MAX_SUGGESTIONS_PER_TYPE,
+            defaultValue: 3
+        });
+        const includePastEvents = ValidationUtils.parseBoolean(req.query.includePast, false);
 
-        const cachedResults = cache.get(cacheKey);
-        if (cachedResults) {
-            logger.debug(`Returning cached results for search term: ${searchTerm}`);
-            return res.json(cachedResults);
+        const cacheKey = buildEventsCacheKey({
+            view: 'suggest',
+            q: q.trim(),
+            limit,
+            includePast: includePastEvents
+        });
+        const cachedSuggestions = cache.get(cacheKey);
+        if (cachedSuggestions) {
+            return res.json(cachedSuggestions);
+        }
+
+        const filters = EventQueryUtils.buildFilterQuery({ includePast: includePastEvents });
+        const query = filters.query;
+        if (filters.conditions.length > 0) {
+            query.$and = filters.conditions;
         }
 
-        logger.debug(`Performing database search for term: ${searchTerm}`);
         const db = await database.getDb();
-        const collection = db.collection(constants.COLLECTION_NAME);
+        const candidates = await db.collection(constants.COLLECTION_NAME).aggregate([
+            { $match: query },
+            ...SearchUtils.buildCandidateStages(words),
+            {
+                $project: {
+                    _id: 0,
+                    id: 1,
+                    title: 1,
+                    dtstart: 1,
+                    dtend: 1,
+                    search: 1,
+                    ...Object.fromEntries(SUGGESTION_FIELDS.map(({ field }) => [field, 1]))
+                }
+            }
+        ]).toArray();
 
-        const query = { $text: { $search: searchTerm } };
-        const projection = { score: { $meta: 'textScore' } };
-        const sort = { score: { $meta: 'textScore' } };
+        const now = new Date();
+        const events = candidates
+            .map(doc => ({ doc, result: SearchUtils.scoreDocument(doc, words, now) }))
+            .filter(({ result }) => result)
+            .sort((a, b) => b.result.score - a.result.score)
+            .slice(0, limit)
+            .map(({ doc, result }) => ({
+                type: 'event',
+                id: doc.id,
+                label: SearchUtils.toPlainText(doc.title),
+                highlight: SearchUtils.highlight(doc.title, result.matches),
+                dtstart: doc.dtstart
+            }));
 
-        const eventsData = await collection.find(query).project(projection).sort(sort).toArray();
+        // Valores distintos de sede, organizador y barrio; count es el número de eventos candidatos
+        const values = new Map();
+        for (const doc of candidates) {
+            for (const { type, field } of SUGGESTION_FIELDS) {
+                const value = typeof doc[field] === 'string' ? doc[field].trim() : '';
+                if (!value) continue;
+                const key = `${type}:${value}`;
+                if (values.has(key)) {
+                    const entry = values.get(key);
+                    if (entry) entry.count++;
+                    continue;
+                }
+                const result = SearchUtils.matchText(value, words);
+                values.set(key, result && {
+                    type,
+                    value,
+                    label: SearchUtils.toPlainText(value),
+                    highlight: SearchUtils.highlight(value, result.matches),
+                    score: result.score,
+                    count: 1
+                });
+            }
+        }
+        const fieldSuggestions = SUGGESTION_FIELDS.flatMap(({ type }) => [...values.values()]
+            .filter(entry => entry && entry.type === type)
+            .sort((a, b) => b.score - a.score || b.count - a.count)
+            .slice(0, limit)
+            .map(({ score, ...entry }) => entry));
 
-        // Use a shorter TTL for search results, e.g., 5 minutes (300 seconds)
-        const searchCacheTtl = constants.CACHE_TTL_SEARCH || 300;
-        cache.set(cacheKey, eventsData, searchCacheTtl);
-        logger.debug(`Cached ${eventsData.length} results for search term: ${searchTerm}`);
+        const stations = SubwayUtils.findStations(cache.getSubwayData(), q, limit).map(station => ({
+            type: 'station',
+            value: station.name,
+            label: station.name,
+            highlight: SearchUtils.highlight(
+                station.name,
+                SearchUtils.matchText(station.name, words)?.matches || new Set()
+            ),
+            lines: station.lines
+        }));
 
-        res.json(eventsData);
+        const suggestions = [...events, ...stations, ...fieldSuggestions];
+        cache.set(cacheKey, suggestions, SUGGEST_CACHE_TTL_SECONDS);
+        res.json(suggestions);
+    } catch (error) {
+        logger.error('Error fetching search suggestions:', { message: error.message, query: req.query.q });
+        res.status(500).json({
+            error: 'An error occurred while fetching search suggestions',
+            details: error.message
+        });
+    }
+});
+
+// Evento completo por id (también por el id de un registro fusionado en él)
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const origin = CoordinateUtils.resolveOrigin(req.query.lat, req.query.lon, {
+            lat: constants.BASE_LAT,
+            lon: constants.BASE_LON
+        });
+        if (!origin) {
+            return res.status(400).json({
+                error: 'Invalid latitude or longitude'
+            });
+        }
+
+        const db = await database.getDb();
+        const [event] = await db.collection(constants.COLLECTION_NAME).aggregate([
+            { $match: { $or: [{ id }, { sourceIds: id }] } },
+            { $limit: 1 },
+            { $addFields: { distance: CoordinateUtils.buildDistanceExpression(origin.lat, origin.lon) } },
+            { $unset: 'search' }
+        ]).toArray();
+
+        if (!event) {
+            return res.status(404).json({
+                error: 'Event not found'
+            });
+        }
+        res.json(event);
+    } catch (error) {
+        logger.error('Error fetching event:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching the event',
+            details: error.message
+        });
+    }
+});
+
+// Sesiones concretas del evento entre from y to (días locales, por defecto los próximos 60)
+router.get('/:id/occurrences', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const from = req.query.from || DateUtils.toLocalDate(new Date());
+        const to = req.query.to || DateUtils.addDays(from, DEFAULT_OCCURRENCE_DAYS);
+        if (!DateUtils.isLocalDate(from) || !DateUtils.isLocalDate(to)) {
+            return res.status(400).json({
+                error: 'from and to must be days in YYYY-MM-DD format'
+            });
+        }
+        if (from > to || DateUtils.diffDays(from, to) > MAX_OCCURRENCE_DAYS) {
+            return res.status(400).json({
+                error: `to must be between from and ${MAX_OCCURRENCE_DAYS} days after it`
+            });
+        }
+        const limit = ValidationUtils.parseInteger(req.query.limit, {
+            min: 1,
+            max: 100,
+            defaultValue: 100
+        });
+
+        const db = await database.getDb();
+        const event = await db.collection(constants.COLLECTION_NAME).findOne(
+            { $or: [{ id }, { sourceIds: id }] },
+            { projection: { id: 1, dtstart: 1, dtend: 1, time: 1, 'excluded-days': 1, recurrence: 1, schedule: 1 } }
+        );
+        if (!event) {
+            return res.status(404).json({
+                error: 'Event not found'
+            });
+        }
+
+        res.json({
+            id: event.id,
+            schedule: event.schedule,
+            occurrences: EventScheduleService.expand({
+                ...event,
+                excludedDays: event['excluded-days']
+            }, { from, to, limit })
+        });
     } catch (error) {
-        logger.error('Error searching events:', { message: error.message, query: req.query.q });
+        logger.error('Error fetching event occurrences:', error.message);
         res.status(500).json({
-            error: 'An error occurred while searching events',
+            error: 'An error occurred while fetching the event occurrences',
             details: error.message
         });
     }
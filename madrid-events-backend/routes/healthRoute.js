@@ -3,6 +3,7 @@ const router = express.Router();
 const database = require('../service/database');
 const cache = require('../service/cache');
 const logger = require('../config/logger');
+const sources = require('../sources');
 
 router.get('/', async (req, res) => {
     const payload = {
@@ -23,11 +24,32 @@ router.get('/', async (req, res) => {
     payload.cache = cache.getStats();
 
     if (typeof global.getQueueStats === 'function') {
-        payload.queues = global.getQueueStats();
+        try {
+            payload.queues = await global.getQueueStats();
+        } catch (error) {
+            logger.error('Queue stats health check failed', { error: error.message });
+            payload.queues = 'error';
+        }
     }
 
     payload.eventsFetchInProgress = !!global.isEventsFetchInProgress;
 
+    // Última actualización correcta de cada fuente
+    const ingestionRuns = typeof global.getIngestionRuns === 'function' ? global.getIngestionRuns() : null;
+    if (ingestionRuns) {
+        try {
+            const sourceNames = sources.getSources().map(source => source.name);
+            const lastRuns = await ingestionRuns.getLastRuns(sourceNames);
+            payload.ingestion = Object.fromEntries(sourceNames.map(name => [name, {
+                lastRefreshedAt: lastRuns[name].lastSuccessfulRun ? lastRuns[name].lastSuccessfulRun.finishedAt : null,
+                lastRunStatus: lastRuns[name].lastRun ? lastRuns[name].lastRun.status : null
+            }]));
+        } catch (error) {
+            logger.error('Ingestion health check failed', { error: error.message });
+            payload.ingestion = 'error';
+        }
+    }
+
     const statusCode = payload.status === 'ok' ? 200 : 503;
     res.status(statusCode).json(payload);
 });
@@ -1,16 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const adminAuth = require('../middleware/adminAuth');
 
 const eventRoutes = require('./eventsRoute');
+const eventHistoryRoutes = require('./eventHistoryRoute');
 const imageRoutes = require('./imagesRoute');
 const subwayRoutes = require('./subwaysRoute');
-const coordinateRoutes = require('./coordinatesRoute');
+const metroRoutes = require('./metroRoute');
 const healthRoutes = require('./healthRoute');
+const adminQueueRoutes = require('./adminQueuesRoute');
+const adminIngestionRoutes = require('./adminIngestionRoute');
 
 router.use('/getEvents', eventRoutes);
+router.use('/events', eventHistoryRoutes);
 router.use('/getImage', imageRoutes);
 router.use('/getSubwayLines', subwayRoutes);
-router.use('/recalculate', coordinateRoutes);
+router.use('/metro', metroRoutes);
 router.use('/healthz', healthRoutes);
+router.use('/admin/queues', adminAuth, adminQueueRoutes);
+router.use('/admin/ingestion', adminAuth, adminIngestionRoutes);
 
 module.exports = router;
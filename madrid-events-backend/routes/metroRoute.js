@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../config/logger');
+const database = require('../service/database');
+const cache = require('../service/cache');
+const constants = require('../config/constants');
+const SubwayUtils = require('../utils/subwayUtils');
+const ValidationUtils = require('../utils/validationUtils');
+const DateUtils = require('../utils/dateUtils');
+const CoordinateUtils = require('../utils/coordinatesUtils');
+const EventQueryUtils = require('../utils/eventQueryUtils');
+const FacetUtils = require('../utils/facetUtils');
+
+const EVENTS_CACHE_TTL_SECONDS = 60 * 60;
+const MAX_STATION_RESULTS = 20;
+
+function getSubwayData(res) {
+    const subwayData = cache.getSubwayData();
+    if (!subwayData) {
+        logger.error('Subway data not initialized');
+        res.status(503).json({
+            error: 'Subway data unavailable'
+        });
+        return null;
+    }
+    return subwayData;
+}
+
+function resolveLine(req, res, subwayData) {
+    const lineNumber = SubwayUtils.parseLineNumber(req.params.line);
+    const line = SubwayUtils.getLines(subwayData).find(candidate => candidate.number === lineNumber);
+    if (!line) {
+        res.status(404).json({
+            error: 'Subway line not found'
+        });
+        return null;
+    }
+    return line;
+}
+
+// Eventos con una estación de metro cercana que cumple la condición, con los filtros comunes del listado
+async function sendNearbyEvents(req, res, stopCondition, legacyCondition, cacheScope) {
+    const origin = CoordinateUtils.resolveOrigin(req.query.lat, req.query.lon, {
+        lat: constants.BASE_LAT,
+        lon: constants.BASE_LON
+    });
+    if (!origin) {
+        return res.status(400).json({
+            error: 'Invalid latitude or longitude'
+        });
+    }
+
+    const filters = EventQueryUtils.buildFilterQuery(req.query);
+    if (filters.error) {
+        return res.status(400).json({
+            error: filters.error
+        });
+    }
+
+    const normalizedLimit = ValidationUtils.parseInteger(req.query.limit, {
+        min: 1,
+        max: constants.MAX_PAGE_SIZE,
+        defaultValue: constants.DEFAULT_PAGE_SIZE
+    });
+    const normalizedPage = ValidationUtils.parseInteger(req.query.page, {
+        min: 1,
+        max: Number.MAX_SAFE_INTEGER,
+        defaultValue: 1
+    });
+
+    // Prefijo events: para que se invalide junto al resto de listados tras cada ingesta
+    const cacheKey = `events:metro:${JSON.stringify({
+        ...cacheScope,
+        facets: FacetUtils.parseSelections(req.query),
+        venue: req.query.venue,
+        organization: req.query.organization,
+        station: req.query.station,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+        date: req.query.date,
+        range: DateUtils.getNamedRange(req.query.range),
+        free: ValidationUtils.parseBoolean(req.query.free, false),
+        maxPrice: req.query.maxPrice,
+        children: ValidationUtils.parseBoolean(req.query.children, false),
+        includePast: ValidationUtils.parseBoolean(req.query.includePast, false),
+        lat: origin.lat,
+        lon: origin.lon,
+        limit: normalizedLimit,
+        page: normalizedPage
+    })}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        res.setHeader('X-Total-Count', cached.total);
+        return res.json(cached.items);
+    }
+
+    // Los eventos guardados antes de transit solo tienen subway/subwayLines
+    const query = {
+        ...filters.query,
+        $and: [
+            ...filters.conditions,
+            {
+                $or: [
+                    { transit: { $elemMatch: { mode: 'metro', ...stopCondition } } },
+                    legacyCondition
+                ]
+            }
+        ]
+    };
+
+    const db = await database.getDb();
+    const collection = db.collection(constants.COLLECTION_NAME);
+    const [total, items] = await Promise.all([
+        collection.countDocuments(query),
+        collection.aggregate([
+            { $match: query },
+            { $sort: { dtstart: 1 } },
+            { $skip: (normalizedPage - 1) * normalizedLimit },
+            { $limit: normalizedLimit },
+            { $addFields: { distance: CoordinateUtils.buildDistanceExpression(origin.lat, origin.lon) } },
+            { $unset: 'search' }
+        ]).toArray()
+    ]);
+
+    cache.set(cacheKey, { items, total }, EVENTS_CACHE_TTL_SECONDS);
+    res.setHeader('X-Total-Count', total);
+    res.json(items);
+}
+
+// Líneas de metro con su color y número de estaciones
+router.get('/lines', (req, res) => {
+    const subwayData = getSubwayData(res);
+    if (!subwayData) return;
+    res.json(SubwayUtils.getLines(subwayData));
+});
+
+// Estaciones de una línea ("5" o "L5")
+router.get('/lines/:line/stations', (req, res) => {
+    const subwayData = getSubwayData(res);
+    if (!subwayData) return;
+    const line = resolveLine(req, res, subwayData);
+    if (!line) return;
+
+    res.json({
+        line,
+        stations: SubwayUtils.getStationsByLine(subwayData, line.number)
+    });
+});
+
+// Eventos cerca de cualquier estación de la línea
+router.get('/lines/:line/events', async (req, res) => {
+    try {
+        const subwayData = getSubwayData(res);
+        if (!subwayData) return;
+        const line = resolveLine(req, res, subwayData);
+        if (!line) return;
+
+        await sendNearbyEvents(
+            req,
+            res,
+            { 'lines.number': line.number },
+            { 'subwayLines.number': line.number },
+            { line: line.number }
+        );
+    } catch (error) {
+        logger.error('Error fetching events along subway line:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching events along the subway line',
+            details: error.message
+        });
+    }
+});
+
+// Búsqueda aproximada de estaciones (sin tildes, tolera erratas)
+router.get('/stations', (req, res) => {
+    const { q } = req.query;
+    if (!q || typeof q !== 'string' || q.trim() === '') {
+        return res.status(400).json({
+            error: 'Search query \'q\' is required and must be a non-empty string.'
+        });
+    }
+
+    const subwayData = getSubwayData(res);
+    if (!subwayData) return;
+
+    const limit = ValidationUtils.parseInteger(req.query.limit, {
+        min: 1,
+        max: MAX_STATION_RESULTS,
+        defaultValue: 10
+    });
+    res.json(SubwayUtils.findStations(subwayData, q, limit));
+});
+
+// Eventos cerca de una estación; el nombre se resuelve con la misma búsqueda aproximada
+router.get('/stations/:name/events', async (req, res) => {
+    try {
+        const subwayData = getSubwayData(res);
+        if (!subwayData) return;
+
+        const [station] = SubwayUtils.findStations(subwayData, req.params.name, 1);
+        if (!station) {
+            return res.status(404).json({
+                error: 'Subway station not found'
+            });
+        }
+
+        await sendNearbyEvents(
+            req,
+            res,
+            { name: station.name },
+            { subway: station.name },
+            { station: station.name }
+        );
+    } catch (error) {
+        logger.error('Error fetching events near subway station:', error.message);
+        res.status(500).json({
+            error: 'An error occurred while fetching events near the subway station',
+            details: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -3,11 +3,10 @@ const cheerio = require('cheerio');
 const NodeCache = require('node-cache');
 const helmet = require('helmet');
 const winston = require('winston');
-const xml2js = require('xml2js');
 const fs = require('fs').promises;
 const path = require('path');
 
-const { Event, EventDomainService } = require('./domain');
+const { Event, EventDomainService, EventDeduplicationService, EventRevisionService } = require('./domain');
 const constants = require('./config/constants');
 const cors = require('./config/cors');
 const limiter = require('./config/rateLimiter');
@@ -17,8 +16,14 @@ const cache = require('./service/cache');
 const database = require('./service/database');
 const errorHandler = require('./middleware/errorHandler');
 const LocationQueue = require('./service/locationQueue');
-const SubwayQueue = require('./service/subwayQueue');
 const ImageQueue = require('./service/imageQueue');
+const CircuitBreaker = require('./service/circuitBreaker');
+const IngestionRunStore = require('./service/ingestionRunStore');
+const IngestionScheduler = require('./service/ingestionScheduler');
+const EventRevisionStore = require('./service/eventRevisionStore');
+const gazetteer = require('./service/gazetteer');
+const transitIndex = require('./service/transitIndex');
+const sources = require('./sources');
 
 // Importar utilidades
 const StringUtils = require('./utils/stringUtils');
@@ -27,47 +32,44 @@ const SubwayUtils = require('./utils/subwayUtils');
 const DatabaseUtils = require('./utils/databaseUtils');
 const CoordinateUtils = require('./utils/coordinatesUtils');
 const SanitizeUtils = require('./utils/sanitizeUtils');
+const SearchUtils = require('./utils/searchUtils');
 
 const app = express();
 
-let baseLat = constants.BASE_LAT;
-let baseLon = constants.BASE_LON;
 let locationQueue;
-let subwayQueue;
 let imageQueue;
+let ingestionRuns;
+let eventRevisions;
+let ingestionScheduler;
 let updateIntervalId;
-let fetchIntervalId;
-let isEventsFetchInProgress = false;
 global.isEventsFetchInProgress = false;
 
-global.getQueueStats = () => ({
-    locationQueueSize: locationQueue ? locationQueue.getQueueSize() : 0,
-    subwayQueueSize: subwayQueue ? subwayQueue.getQueueSize() : 0,
-    imageQueueSize: imageQueue ? imageQueue.getQueueSize() : 0
+global.getQueueStats = async () => ({
+    locationQueueSize: locationQueue ? await locationQueue.getQueueSize() : 0,
+    imageQueueSize: imageQueue ? await imageQueue.getQueueSize() : 0,
+    deadLetters: {
+        location: locationQueue ? await locationQueue.countDeadLetters() : 0,
+        image: imageQueue ? await imageQueue.countDeadLetters() : 0
+    },
+    circuits: CircuitBreaker.getAll().map(breaker => breaker.getStatus())
 });
 
-function updateBaseCoordinates(newLat, newLon) {
-    if (Number.isNaN(newLat) || Number.isNaN(newLon)) {
-        logger.warn('Attempted to update base coordinates with invalid values', {
-            newLat,
-            newLon
-        });
-        return;
+global.getEnrichmentQueues = () => {
+    if (!locationQueue || !imageQueue) {
+        return null;
     }
-
-    baseLat = newLat;
-    baseLon = newLon;
-    global.baseLat = baseLat;
-    global.baseLon = baseLon;
-}
+    return {
+        location: locationQueue,
+        image: imageQueue
+    };
+};
 
 global.fetchAndStoreEvents = async () => {
     logger.warn('fetchAndStoreEvents called before initialization');
 };
+global.getIngestionRuns = () => ingestionRuns || null;
+global.getIngestionSchedules = () => ingestionScheduler ? ingestionScheduler.getSchedules() : [];
 global.scrapeImageFromUrl = async () => null;
-global.updateBaseCoordinates = updateBaseCoordinates;
-
-updateBaseCoordinates(baseLat, baseLon);
 
 // Inicialización de datos del metro
 async function initializeSubwayData() {
@@ -104,6 +106,26 @@ async function initializeSubwayData() {
     }
 }
 
+// Índice de paradas cercanas: estaciones del dataset de metro más el resto de modos de transporte
+async function initializeTransitIndex() {
+    let stops = SubwayUtils.toTransitStops(cache.getSubwayData());
+
+    const filePath = path.join(__dirname, 'assets', 'madrid-events.transit.json');
+    try {
+        const transitData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        stops = stops.concat(transitData.stops || []);
+    } catch (error) {
+        logger.warn('Transit stops file not available', {
+            filePath,
+            error: error.message
+        });
+    }
+
+    if (!transitIndex.build(stops)) {
+        logger.warn('No transit stop coordinates available, nearby stops will not be resolved');
+    }
+}
+
 async function scrapeImageFromUrl(url, eventId) {
     if (!imageQueue) {
         logger.error('Image queue service not initialized');
@@ -125,17 +147,7 @@ async function getLocationDetails(latitude, longitude, eventId) {
     return locationQueue.getLocationDetails(latitude, longitude, eventId);
 }
 
-async function getNearestSubway(lat, lon, eventId) {
-    if (!subwayQueue) {
-        logger.error('Subway queue service not initialized');
-        return null;
-    }
-    return subwayQueue.getNearestSubway(lat, lon, eventId);
-}
-
-
-
-async function processEventCoordinates(event, locationDetails, nearestSubway) {
+async function processEventCoordinates(event, locationDetails, existingTransit, existingSubway) {
     try {
         const originalLat = event.latitude;
         const originalLon = event.longitude;
@@ -145,39 +157,40 @@ async function processEventCoordinates(event, locationDetails, nearestSubway) {
             longitude: originalLon
         });
 
-        const [locationPromise, subwayPromise] = await Promise.all([
-            (!locationDetails.distrito || !locationDetails.barrio || !locationDetails.direccion || !locationDetails.ciudad) ?
-            getLocationDetails(originalLat, originalLon, event.id) :
-            Promise.resolve(locationDetails),
-            (!nearestSubway) ?
-            getNearestSubway(originalLat, originalLon, event.id) :
-            Promise.resolve(nearestSubway)
-        ]);
-
-        locationDetails = locationPromise;
-        nearestSubway = subwayPromise;
-
-        let subwayLines = [];
-        if (nearestSubway) {
-            logger.debug(`Found subway station for event ${event.id}: ${nearestSubway}`);
-            subwayLines = await SubwayUtils.getSubwayLines(nearestSubway, cache.getSubwayData());
-            logger.debug(`Retrieved subway lines for event ${event.id}`, {
-                station: nearestSubway,
-                lines: subwayLines
+        // Distrito y barrio se resuelven siempre con el nomenclátor local
+        const area = gazetteer.resolve(originalLat, originalLon);
+        if (area) {
+            locationDetails = { ...locationDetails, ...area };
+        }
+
+        if (!locationDetails.direccion || !locationDetails.ciudad ||
+            (!area && (!locationDetails.distrito || !locationDetails.barrio))) {
+            locationDetails = await getLocationDetails(originalLat, originalLon, event.id);
+        }
+
+        // Paradas cercanas de cada modo calculadas en local con el índice de transporte;
+        // con el índice vacío se conservan las que ya tuviera el evento
+        const transit = transitIndex.size > 0
+            ? transitIndex.findTransit(originalLat, originalLon)
+            : existingTransit;
+        if (transit.length > 0) {
+            logger.debug(`Found transit stops for event ${event.id}`, {
+                stops: transit.map(stop => `${stop.mode}:${stop.name}`)
             });
         } else {
-            logger.debug(`No nearby subway found for event ${event.id}`);
+            logger.debug(`No nearby transit found for event ${event.id}`);
         }
 
+        // El metro más cercano sale solo del índice; sin estaciones de metro se conserva el guardado
+        const nearestSubway = transitIndex.hasMode('metro') ? getNearestSubway(transit) : existingSubway;
+
         event.latitude = originalLat;
         event.longitude = originalLon;
-        event.distance = EventDomainService.calculateDistance(event, baseLat, baseLon);
-        logger.debug(`Calculated distance for event ${event.id}: ${event.distance}`);
 
         return {
             locationDetails,
-            nearestSubway,
-            subwayLines
+            transit,
+            nearestSubway
         };
     } catch (error) {
         logger.error(`Error processing coordinates for event ${event.id}:`, {
@@ -188,13 +201,33 @@ async function processEventCoordinates(event, locationDetails, nearestSubway) {
     }
 }
 
-async function updateEventWithData(event, locationDetails, nearestSubway, subwayLines, imageUrl) {
+// Metro más cercano de la lista de paradas, que se sigue guardando en subway/subwayLines
+function getNearestSubway(transit) {
+    return transit.find(stop => stop.mode === 'metro') || null;
+}
+
+// Distrito, barrio y paradas cercanas de un evento guardado según sus coordenadas.
+// Sin estaciones de metro en el índice, subway y subwayLines se dejan como estén
+function resolveLocationData(doc) {
+    const fields = { ...gazetteer.resolve(doc.latitude, doc.longitude) };
+    if (transitIndex.size > 0) {
+        fields.transit = transitIndex.findTransit(doc.latitude, doc.longitude);
+    }
+    if (transitIndex.hasMode('metro')) {
+        const nearestSubway = getNearestSubway(fields.transit);
+        fields.subway = nearestSubway ? nearestSubway.name : '';
+        fields.subwayLines = nearestSubway ? nearestSubway.lines : [];
+    }
+    return fields;
+}
+
+async function updateEventWithData(event, locationDetails, transit, nearestSubway, imageUrl) {
     try {
         logger.debug(`Updating event ${event.id} with collected data`, {
             distrito: locationDetails.distrito,
             barrio: locationDetails.barrio,
             hasSubway: !!nearestSubway,
-            subwayLinesCount: subwayLines.length,
+            transitStopsCount: transit.length,
             hasImage: !!imageUrl,
             hasCoordinates: !!event.latitude && !!event.longitude
         });
@@ -203,8 +236,9 @@ async function updateEventWithData(event, locationDetails, nearestSubway, subway
         event.barrio = locationDetails.barrio;
         event.streetAddress = locationDetails.direccion;
         event.locality = locationDetails.ciudad;
-        event.subway = nearestSubway || '';
-        event.subwayLines = subwayLines;
+        event.subway = nearestSubway ? nearestSubway.name : '';
+        event.subwayLines = nearestSubway ? nearestSubway.lines : [];
+        event.transit = transit;
         event.image = imageUrl;
 
         if (event.eventLocation) {
@@ -233,21 +267,60 @@ async function updateEventWithData(event, locationDetails, nearestSubway, subway
     }
 }
 
-async function processAndStoreEvent(collection, eventData, fromXml = false) {
+async function mergeWithCanonicalEvent(collection, event) {
+    const canonicalData = await DatabaseUtils.findCanonicalEvent(collection, event);
+    if (!canonicalData) {
+        return event;
+    }
+
+    const canonical = EventDomainService.fromJSON(canonicalData);
+
+    // El propio evento ya agrupa otras fuentes: se refresca conservando lo fusionado
+    if (canonical.id === event.id) {
+        return EventDeduplicationService.merge(event, canonical);
+    }
+
+    const merged = EventDeduplicationService.merge(canonical, event);
+    const removed = await collection.deleteOne({ id: event.id });
+
+    logger.debug(`Merged event ${event.id} into canonical event ${canonical.id}`, {
+        sourceIds: merged.sourceIds,
+        removedStandalone: removed.deletedCount > 0
+    });
+
+    return merged;
+}
+
+async function recordEventRevision(previousDoc, event, { sourceId, source, hash, previousHash }) {
+    if (!eventRevisions) {
+        return;
+    }
+    const { changeTypes, changes } = EventRevisionService.diff(previousDoc, event);
+    if (changeTypes.length === 0) {
+        return;
+    }
+
     try {
-        let event;
-        if (fromXml) {
-            event = EventDomainService.fromXMLData(eventData);
-            if (!event) {
-                logger.warn(`Failed to create event from XML data`);
-                return;
-            }
-            if (!EventDomainService.isActive(event)) {
-                logger.debug(`Skipping inactive event ${event.id}`);
-                return;
-            }
-        } else {
-            event = EventDomainService.fromJSON(eventData);
+        await eventRevisions.record({
+            eventId: event.id,
+            sourceId,
+            source,
+            hash,
+            previousHash,
+            changeTypes,
+            changes
+        });
+        logger.debug(`Recorded revision for event ${event.id}`, { changeTypes });
+    } catch (error) {
+        logger.error(`Error recording revision for event ${event.id}:`, { error: error.message });
+    }
+}
+
+async function processAndStoreEvent(collection, record, source) {
+    try {
+        let event = source.toEvent(record);
+        if (!event) {
+            return 'skipped';
         }
 
         if (!EventUtils.isEventWithinValidDateRange(event)) {
@@ -256,33 +329,48 @@ async function processAndStoreEvent(collection, eventData, fromXml = false) {
                 startDate: event.dtstart,
                 endDate: event.dtend
             });
-            return;
+            return 'skipped';
+        }
+
+        // Si el registro de la fuente no ha cambiado desde la última ingesta no hay nada que hacer
+        const sourceId = event.id;
+        const payloadHash = source.hashRecord(record);
+        const previousHash = await DatabaseUtils.getStoredSourceHash(collection, sourceId);
+        if (previousHash === payloadHash) {
+            logger.debug(`Skipping event ${sourceId} - unchanged since last ingestion`);
+            return 'unchanged';
         }
 
         event = SanitizeUtils.sanitizeEvent(event);
+        event.fingerprint = EventDeduplicationService.fingerprint(event);
+        event = await mergeWithCanonicalEvent(collection, event);
+        event.sourceHashes = { ...event.sourceHashes, [sourceId]: payloadHash };
 
         logger.debug(`Processing event ${event.id}`, {
             title: event.title,
-            isXml: fromXml
+            source: source.name
         });
 
+        const previousDoc = await collection.findOne({ id: event.id });
+
         const {
             locationDetails,
+            transit,
             nearestSubway,
-            imageUrl: existingImageUrl,
-            subwayLines
-        } = await DatabaseUtils.getExistingEventData(collection, event.id, constants);
+            imageUrl: existingImageUrl
+        } = await DatabaseUtils.getExistingEventData(collection, event.id);
 
         let processedData = {
             locationDetails,
-            nearestSubway,
-            subwayLines
+            transit,
+            nearestSubway
         };
 
         if (EventDomainService.hasValidCoordinates(event)) {
             processedData = await processEventCoordinates(
                 event,
                 locationDetails,
+                transit,
                 nearestSubway
             );
         } else {
@@ -294,91 +382,82 @@ async function processAndStoreEvent(collection, eventData, fromXml = false) {
         event = await updateEventWithData(
             event,
             processedData.locationDetails,
+            processedData.transit,
             processedData.nearestSubway,
-            processedData.subwayLines,
             imageUrl
         );
 
-        await collection.updateOne({
+        const eventDoc = event.toJSON();
+        eventDoc.search = SearchUtils.buildSearchFields(eventDoc);
+
+        // Un evento archivado que vuelve a tener fechas vigentes deja de estar archivado
+        const result = await collection.updateOne({
             id: event.id
         }, {
-            $set: event.toJSON()
+            $set: eventDoc,
+            $unset: {
+                archived: '',
+                archivedAt: ''
+            }
         }, {
             upsert: true
         });
 
         logger.debug(`Successfully processed and stored event ${event.id}`);
 
+        await recordEventRevision(previousDoc, event, {
+            sourceId,
+            source: source.name,
+            hash: payloadHash,
+            previousHash
+        });
+
+        return result.upsertedCount > 0 ? 'new' : 'updated';
+
     } catch (error) {
         logger.error(`Error processing event:`, {
             error: error.message,
             stack: error.stack,
-            eventId: eventData.id || 'unknown',
-            isXml: fromXml
+            eventId: record.id || 'unknown',
+            source: source.name
         });
         throw error;
     }
 }
 
-async function fetchAndStoreEvents() {
-    logger.info('Starting JSON events fetch and store process');
+// Los contadores de la ejecución se acumulan en stats (new, updated, skipped, failed)
+async function fetchAndStoreSourceEvents(source, stats = IngestionRunStore.createStats()) {
+    logger.info(`Starting ${source.name} events fetch and store process`);
     try {
-        logger.info(`Fetching events from API: ${constants.EVENTS_API_URL}`);
-        const response = await axios.get(constants.EVENTS_API_URL);
-
-        if (!response || !response.data) {
-            throw new Error('No data received from API');
-        }
-
-        let eventsData = response.data;
-        logger.info(`Received response with length: ${JSON.stringify(eventsData).length}`);
-
-        if (typeof eventsData === 'string') {
-            logger.info('Response is string, attempting to clean and parse');
-            eventsData = StringUtils.stripInvalidControlCharacters(eventsData);
-            try {
-                eventsData = JSON.parse(eventsData);
-            } catch (parseError) {
-                logger.error('Error parsing JSON:', {
-                    error: parseError.message,
-                    data: eventsData.substring(Math.max(0, 1059022 - 50), 1059022 + 50) + '...' //Show the area around the error
-                });
-                throw parseError;
-            }
-        }
+        const data = await source.fetch();
+        const records = await source.parse(data);
+        stats.total = records.length;
 
-        if (!eventsData || !eventsData['@graph']) {
-            logger.error('Invalid data structure received:', {
-                keys: Object.keys(eventsData || {}),
-                dataType: typeof eventsData,
-                sample: JSON.stringify(eventsData).substring(0, 200) + '...'
-            });
-            throw new Error('Unexpected API response structure: missing @graph');
-        }
-
-        logger.info(`Processing ${eventsData['@graph'].length} events`);
+        logger.info(`Processing ${records.length} events from ${source.name}`);
 
         const db = await database.getDb();
         const collection = db.collection(constants.COLLECTION_NAME);
 
-        const eventBatches = eventsData['@graph'];
-        const batchSize = 5;
+        const batchSize = source.batchSize;
         let results = [];
 
-        for (let i = 0; i < eventBatches.length; i += batchSize) {
-            const batch = eventBatches.slice(i, i + batchSize);
-            const batchPromises = batch.map(async (eventData, index) => {
+        for (let i = 0; i < records.length; i += batchSize) {
+            const batch = records.slice(i, i + batchSize);
+            const batchPromises = batch.map(async (record, index) => {
                 const currentIndex = i + index;
                 try {
                     if (currentIndex % 10 === 0) {
-                        logger.debug(`Processing event ${currentIndex + 1}/${eventBatches.length}`);
+                        logger.debug(`Processing ${source.name} event ${currentIndex + 1}/${records.length}`);
                     }
-                    await processAndStoreEvent(collection, eventData, false);
+                    const outcome = await processAndStoreEvent(collection, record, source);
+                    stats.counts[outcome]++;
                 } catch (eventError) {
-                    logger.error(`Error processing event at index ${currentIndex}:`, {
+                    stats.counts.failed++;
+                    IngestionRunStore.recordError(stats, eventError.message, record.id || null);
+                    logger.error(`Error processing ${source.name} event at index ${currentIndex}:`, {
                         error: eventError.message,
                         stack: eventError.stack,
-                        eventData: JSON.stringify(eventData).substring(0, 200) + '...'
+                        eventData: source.describe(record)
                     });
                     throw eventError;
                 }
@@ -390,14 +469,15 @@ async function fetchAndStoreEvents() {
 
         const rejected = results.filter(result => result.status === 'rejected');
         if (rejected.length > 0) {
-            logger.warn('Some events failed during processing', {
+            logger.warn(`Some ${source.name} events failed during processing`, {
                 failedEvents: rejected.length
             });
         }
-        logger.info('All events processed (with partial failures if any)');
+        logger.info(`All ${source.name} events processed (with partial failures if any)`, stats.counts);
 
+        return stats;
     } catch (error) {
-        logger.error('Error in fetchAndStoreEvents:', {
+        logger.error(`Error fetching and storing ${source.name} events:`, {
             error: error.message,
             stack: error.stack,
             type: error.name,
@@ -405,162 +485,108 @@ async function fetchAndStoreEvents() {
             response: error.response ? {
                 status: error.response.status,
                 statusText: error.response.statusText,
-                data: JSON.stringify(error.response.data).substring(0, 200) + '...'
+                data: JSON.stringify(error.response.data || '').substring(0, 200) + '...'
             } : 'No response data'
         });
         throw error;
     }
 }
 
-async function fetchAndStoreXmlEvents() {
-    logger.info('Starting XML events fetch and store process');
+async function runSourceIngestion(source, trigger) {
+    const stats = IngestionRunStore.createStats();
+    let run = null;
     try {
-        logger.info(`Fetching XML events from API: ${constants.XML_EVENTS_API_URL}`);
-        const response = await axios.get(constants.XML_EVENTS_API_URL);
-
-        if (!response || !response.data) {
-            throw new Error('No XML data received from API');
-        }
-
-        const xmlData = response.data;
-        logger.info(`Received XML response with length: ${xmlData.length}`);
-
-        logger.info('Attempting to parse XML data');
-        const parser = new xml2js.Parser();
-        let result;
-        try {
-            result = await parser.parseStringPromise(xmlData);
-            logger.info('XML successfully parsed');
-        } catch (parseError) {
-            logger.error('Error parsing XML:', {
-                error: parseError.message,
-                stack: parseError.stack,
-                xmlSample: xmlData.substring(0, 200) + '...'
-            });
-            throw parseError;
-        }
-
-        if (!result || !result.serviceList || !result.serviceList.service) {
-            logger.error('Invalid XML structure received:', {
-                resultKeys: result ? Object.keys(result) : 'null',
-                hasServiceList: result ? !!result.serviceList : false,
-                hasService: result?.serviceList ? !!result.serviceList.service : false,
-                sample: JSON.stringify(result).substring(0, 200) + '...'
-            });
-            throw new Error('Unexpected XML structure');
-        }
-
-        const totalEvents = result.serviceList.service.length;
-        logger.info(`Found ${totalEvents} XML events to process`);
-
-        const db = await database.getDb();
-        const collection = db.collection(constants.COLLECTION_NAME);
-
-        const xmlEvents = result.serviceList.service;
-        const batchSize = 5;
-        let xmlResults = [];
-
-        for (let i = 0; i < xmlEvents.length; i += batchSize) {
-            const batch = xmlEvents.slice(i, i + batchSize);
-            const batchPromises = batch.map(async (xmlEvent, index) => {
-                const currentIndex = i + index;
-                try {
-                    if (currentIndex % 10 === 0) {
-                        logger.debug(`Processing XML event ${currentIndex + 1}/${totalEvents}`);
-                    }
-
-                    await processAndStoreEvent(collection, xmlEvent, true);
-                } catch (eventError) {
-                    logger.error(`Error processing XML event at index ${currentIndex}:`, {
-                        error: eventError.message,
-                        stack: eventError.stack,
-                        eventData: JSON.stringify(xmlEvent).substring(0, 200) + '...'
-                    });
-                    throw eventError;
-                }
-            });
-
-            const batchResults = await Promise.allSettled(batchPromises);
-            xmlResults = xmlResults.concat(batchResults);
-        }
+        run = ingestionRuns ? await ingestionRuns.start(source.name, trigger) : null;
+    } catch (error) {
+        logger.error(`Could not record ingestion run for ${source.name}`, { error: error.message });
+    }
 
-        const xmlRejected = xmlResults.filter(result => result.status === 'rejected');
-        if (xmlRejected.length > 0) {
-            logger.warn('Some XML events failed during processing', {
-                failedEvents: xmlRejected.length
-            });
-        }
-        logger.info('All XML events processed (with partial failures if any)');
+    let runError = null;
+    try {
+        await fetchAndStoreSourceEvents(source, stats);
+        logger.info(`${source.name} events fetch completed successfully`);
+    } catch (sourceError) {
+        runError = sourceError;
+        logger.error(`${source.name} events fetch failed, continuing with next source:`, {
+            error: sourceError.message,
+            stack: sourceError.stack
+        });
+    }
 
+    if (!run) {
+        return null;
+    }
+    try {
+        return await ingestionRuns.finish(run, stats, runError);
     } catch (error) {
-        logger.error('Error in fetchAndStoreXmlEvents:', {
-            error: error.message,
-            stack: error.stack,
-            type: error.name,
-            code: error.code,
-            response: error.response ? {
-                status: error.response.status,
-                statusText: error.response.statusText,
-                data: error.response.data ? error.response.data.substring(0, 200) + '...' : 'No response data'
-            } : 'No response object'
-        });
-        throw error;
+        logger.error(`Could not record ingestion run result for ${source.name}`, { error: error.message });
+        return null;
     }
 }
 
-async function fetchAllEvents() {
-    if (isEventsFetchInProgress) {
-        logger.info('Events fetch already in progress, skipping this cycle');
-        return;
+/**
+ * Ingiere las fuentes indicadas (todas si no se indica ninguna) registrando una ejecución por fuente.
+ * trigger: 'startup', 'schedule' o 'manual'. Devuelve null si ya hay una ingesta en curso.
+ */
+async function runIngestion({ sourceNames = null, trigger = 'manual' } = {}) {
+    if (global.isEventsFetchInProgress) {
+        logger.info('Events fetch already in progress, skipping this cycle', { trigger });
+        return null;
     }
 
+    const selectedSources = sourceNames
+        ? sourceNames.map(name => sources.getSource(name)).filter(Boolean)
+        : sources.getSources();
+    const runs = [];
+    // El timeout aborta la ejecución entre fuentes; el flag sigue activo hasta que el bucle termina
+    const controller = new AbortController();
+    const fetchTimeout = setTimeout(() => {
+        logger.error('Events fetch timeout reached, skipping remaining sources');
+        controller.abort();
+    }, constants.INGESTION_RUN_TIMEOUT_MS);
+
     try {
-        isEventsFetchInProgress = true;
         global.isEventsFetchInProgress = true;
-        logger.info('Starting sequential events fetch process');
-
-        const fetchTimeout = setTimeout(() => {
-            logger.error('Events fetch timeout reached');
-            isEventsFetchInProgress = false;
-        }, 30 * 60 * 1000); // 30 minutos
-
-        try {
-            await fetchAndStoreEvents();
-            logger.info('JSON events fetch completed successfully');
-        } catch (jsonError) {
-            logger.error('JSON events fetch failed, continuing with XML fetch:', {
-                error: jsonError.message,
-                stack: jsonError.stack
-            });
-        }
+        logger.info('Starting sequential events fetch process', {
+            trigger,
+            sources: selectedSources.map(source => source.name)
+        });
 
-        try {
-            await fetchAndStoreXmlEvents();
-            logger.info('XML events fetch completed successfully');
-        } catch (xmlError) {
-            logger.error('XML events fetch failed:', {
-                error: xmlError.message,
-                stack: xmlError.stack
-            });
+        for (const source of selectedSources) {
+            if (controller.signal.aborted) {
+                logger.warn(`Skipping ${source.name} events fetch after timeout`);
+                continue;
+            }
+            const run = await runSourceIngestion(source, trigger);
+            if (run) {
+                runs.push(run);
+            }
         }
 
         cache.clearPattern('events:');
-        logger.info('Cache cleared after both fetches completed');
-
-        clearTimeout(fetchTimeout);
+        logger.info('Cache cleared after all source fetches completed');
 
     } catch (error) {
-        logger.error('Critical error in fetchAllEvents:', {
+        logger.error('Critical error in runIngestion:', {
             error: error.message,
             stack: error.stack
         });
     } finally {
-        isEventsFetchInProgress = false;
+        clearTimeout(fetchTimeout);
         global.isEventsFetchInProgress = false;
     }
+
+    return runs;
 }
 
-global.fetchAndStoreEvents = fetchAndStoreEvents;
+async function archivePastEvents(db) {
+    await DatabaseUtils.archivePastEvents(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.purgeArchivedEvents(db, constants.COLLECTION_NAME, constants.PAST_EVENTS_RETENTION_DAYS);
+    cache.clearPattern('events:');
+}
+
+global.fetchAndStoreEvents = () => runIngestion({ trigger: 'manual' });
+global.runIngestion = runIngestion;
 global.scrapeImageFromUrl = scrapeImageFromUrl;
 
 const routes = require('./routes');
@@ -591,41 +617,64 @@ app.listen(constants.PORT, async () => {
     if (!subwayInitialized) {
         logger.error('Failed to initialize subway data, server might not work correctly');
     }
+    await initializeTransitIndex();
+
+    // Inicializar nomenclátor de distritos y barrios
+    const gazetteerLoaded = await gazetteer.load();
+    if (!gazetteerLoaded) {
+        logger.warn('Gazetteer not loaded, distrito/barrio will fall back to Nominatim');
+    }
 
     // Inicializar servicios de cola
     const db = await database.getDb();
     locationQueue = new LocationQueue(db);
-    subwayQueue = new SubwayQueue(db);
     imageQueue = new ImageQueue(db);
     logger.info('Queue services initialized');
 
-    await DatabaseUtils.deletePastEvents(db, constants.COLLECTION_NAME);
-    await fetchAllEvents();
-
-    updateIntervalId = setInterval(() => DatabaseUtils.deletePastEvents(db, constants.COLLECTION_NAME), constants.UPDATE_INTERVAL);
-    fetchIntervalId = setInterval(fetchAllEvents, constants.UPDATE_INTERVAL);
+    ingestionRuns = new IngestionRunStore(db);
+    eventRevisions = new EventRevisionStore(db);
+    await ingestionRuns.markInterrupted();
+
+    await DatabaseUtils.removeStoredDistances(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.backfillGeoLocations(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.removeQueueJobs(db, 'subway');
+    await DatabaseUtils.reassignLocationData(db, constants.COLLECTION_NAME, resolveLocationData);
+    await DatabaseUtils.reassignCategories(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.reassignSchedules(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.reassignPricing(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.reassignLocalDates(db, constants.COLLECTION_NAME);
+    await DatabaseUtils.refreshSearchFields(db, constants.COLLECTION_NAME);
+    await archivePastEvents(db);
+    await runIngestion({ trigger: 'startup' });
+
+    updateIntervalId = setInterval(() => archivePastEvents(db), constants.UPDATE_INTERVAL);
+
+    // Ingesta programada por fuente según su expresión cron
+    ingestionScheduler = new IngestionScheduler(
+        sources.getSources(),
+        sourceNames => runIngestion({ sourceNames, trigger: 'schedule' })
+    );
+    ingestionScheduler.start();
 });
 
 async function gracefulShutdown(signal) {
     logger.info(`Received ${signal}. Shutting down server...`);
     try {
         global.isEventsFetchInProgress = false;
+        // Los trabajos pendientes siguen en MongoDB y se retoman al arrancar
         if (locationQueue) {
-            locationQueue.clearQueue();
             locationQueue.stopProcessing();
         }
-        if (subwayQueue) {
-            subwayQueue.clearQueue();
-            subwayQueue.stopProcessing();
-        }
         if (imageQueue) {
-            imageQueue.clearQueue();
             imageQueue.stopProcessing();
         }
         global.getQueueStats = undefined;
+        global.getEnrichmentQueues = undefined;
 
+        if (ingestionScheduler) {
+            ingestionScheduler.stop();
+        }
         clearInterval(updateIntervalId);
-        clearInterval(fetchIntervalId);
 
         await database.closeConnection();
 
@@ -6,7 +6,7 @@ const CACHE_TTL = {
     IMAGES: 7 * 24 * 60 * 60,  // 1 semana
     SUBWAY_LINES: 24 * 60 * 60, // 1 día
     EVENTS: 60 * 60,           // 1 hora
-    SUBWAY_DATA: 24 * 60 * 60  // 1 día para los datos completos del metro
+    SUBWAY_DATA: 0             // sin caducidad: el dataset del metro se carga una vez al arrancar
 };
 
 class CacheService {
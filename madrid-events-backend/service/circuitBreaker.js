@@ -0,0 +1,109 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+
+const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+const breakers = new Map();
+
+/**
+ * Circuit breaker por proveedor externo (Nominatim, webs de imágenes...).
+ * Tras varios fallos consecutivos se abre y deja de permitir peticiones durante un tiempo;
+ * pasado ese tiempo deja pasar una petición de prueba (half-open) antes de cerrarse.
+ */
+class CircuitBreaker {
+    constructor(provider, {
+        failureThreshold = constants.CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+        cooldownMs = constants.CIRCUIT_BREAKER_COOLDOWN_MS
+    } = {}) {
+        this.provider = provider;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = CIRCUIT_STATE.CLOSED;
+        this.failures = 0;
+        this.openUntil = null;
+    }
+
+    // Las colas que comparten proveedor comparten también su breaker
+    static forProvider(provider) {
+        if (!breakers.has(provider)) {
+            breakers.set(provider, new CircuitBreaker(provider));
+        }
+        return breakers.get(provider);
+    }
+
+    static getAll() {
+        return Array.from(breakers.values());
+    }
+
+    canRequest() {
+        if (this.state !== CIRCUIT_STATE.OPEN) {
+            return true;
+        }
+        if (Date.now() >= this.openUntil.getTime()) {
+            this.state = CIRCUIT_STATE.HALF_OPEN;
+            logger.info(`Circuit for ${this.provider} is half-open, allowing a trial request`);
+            return true;
+        }
+        return false;
+    }
+
+    getRemainingOpenMs() {
+        if (this.state !== CIRCUIT_STATE.OPEN) {
+            return 0;
+        }
+        return Math.max(0, this.openUntil.getTime() - Date.now());
+    }
+
+    isOpen() {
+        return this.state === CIRCUIT_STATE.OPEN;
+    }
+
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATE.CLOSED) {
+            logger.info(`Circuit for ${this.provider} closed after successful request`);
+        }
+        this.state = CIRCUIT_STATE.CLOSED;
+        this.failures = 0;
+        this.openUntil = null;
+    }
+
+    recordFailure(retryAfterMs = 0) {
+        this.failures += 1;
+
+        const thresholdReached = this.state === CIRCUIT_STATE.HALF_OPEN ||
+            this.failures >= this.failureThreshold;
+
+        // Un Retry-After del proveedor abre el circuito al menos durante el tiempo indicado
+        if (thresholdReached) {
+            this.open(Math.max(this.cooldownMs, retryAfterMs));
+        } else if (retryAfterMs > 0) {
+            this.open(retryAfterMs);
+        }
+    }
+
+    open(durationMs) {
+        this.state = CIRCUIT_STATE.OPEN;
+        this.openUntil = new Date(Date.now() + durationMs);
+        logger.warn(`Circuit for ${this.provider} opened`, {
+            failures: this.failures,
+            openUntil: this.openUntil
+        });
+    }
+
+    getStatus() {
+        return {
+            provider: this.provider,
+            state: this.state,
+            failures: this.failures,
+            openUntil: this.openUntil
+        };
+    }
+}
+
+CircuitBreaker.STATE = CIRCUIT_STATE;
+
+module.exports = CircuitBreaker;
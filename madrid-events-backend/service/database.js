@@ -1,6 +1,9 @@
 const { MongoClient } = require('mongodb');
 const constants = require('../config/constants');
 const logger = require('../config/logger');
+const JobStore = require('./jobStore');
+const IngestionRunStore = require('./ingestionRunStore');
+const EventRevisionStore = require('./eventRevisionStore');
 
 let db;
 let mongoClient;
@@ -12,36 +15,51 @@ async function createIndexes(dbInstance) {
     }
     try {
         const collection = dbInstance.collection(constants.COLLECTION_NAME);
-        await collection.createIndex(
-            {
-                title: 'text',
-                description: 'text',
-                distrito: 'text',
-                barrio: 'text',
-                'event-location': 'text',
-                'organization-name': 'text'
-            },
-            {
-                name: 'events_text_search_index',
-                default_language: 'spanish'
-            }
-        );
-        logger.info('Text search index ensured on events collection.');
+        // La búsqueda usa los trigramas de search.grams; el índice $text anterior ya no se consulta
+        await collection.dropIndex('events_text_search_index').catch(() => {});
 
         await collection.createIndex({ dtstart: 1 }, { name: 'events_dtstart_index' });
         await collection.createIndex({ dtend: 1 }, { name: 'events_dtend_index' });
         await collection.createIndex({ distrito: 1 }, { name: 'events_distrito_index' });
         await collection.createIndex({ barrio: 1 }, { name: 'events_barrio_index' });
         await collection.createIndex({ free: 1 }, { name: 'events_free_index' });
+        await collection.createIndex({ 'pricing.min': 1 }, { name: 'events_pricing_min_index' });
         await collection.createIndex({ audience: 1 }, { name: 'events_audience_index' });
+        await collection.createIndex({ categories: 1 }, { name: 'events_categories_index' });
+        await collection.createIndex({ 'schedule.weekdays': 1 }, { name: 'events_schedule_weekdays_index' });
+        await collection.createIndex({ 'schedule.timesOfDay': 1 }, { name: 'events_schedule_times_of_day_index' });
+        await collection.createIndex({ 'schedule.slots': 1 }, { name: 'events_schedule_slots_index' });
+        await collection.createIndex({ fingerprint: 1 }, { name: 'events_fingerprint_index' });
+        await collection.createIndex({ sourceIds: 1 }, { name: 'events_source_ids_index' });
+        await collection.createIndex({ archived: 1, dtend: 1 }, { name: 'events_archived_dtend_index' });
+        await collection.createIndex({ location: '2dsphere' }, { name: 'events_location_2dsphere_index' });
+        await collection.createIndex({ 'search.grams': 1 }, { name: 'events_search_grams_index' });
         logger.info('Basic filter indexes ensured on events collection.');
     } catch (error) {
         if (error.codeName === 'IndexOptionsConflict' || error.code === 85) {
-            logger.info('Text search index already exists.');
+            logger.info('Event indexes already exist.');
         } else {
-            logger.error('Error creating text search index:', error.message);
+            logger.error('Error creating event indexes:', error.message);
         }
     }
+
+    try {
+        await JobStore.createIndexes(dbInstance);
+    } catch (error) {
+        logger.error('Error creating enrichment jobs indexes:', error.message);
+    }
+
+    try {
+        await IngestionRunStore.createIndexes(dbInstance);
+    } catch (error) {
+        logger.error('Error creating ingestion runs indexes:', error.message);
+    }
+
+    try {
+        await EventRevisionStore.createIndexes(dbInstance);
+    } catch (error) {
+        logger.error('Error creating event revisions indexes:', error.message);
+    }
 }
 
 async function connectToMongoDB() {
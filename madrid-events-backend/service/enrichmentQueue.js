@@ -0,0 +1,271 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+const JobStore = require('./jobStore');
+const CircuitBreaker = require('./circuitBreaker');
+
+const TRANSIENT_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Motor común de las colas de enriquecimiento (ubicación, metro, imágenes).
+ * Gestiona el bucle de procesamiento sobre el JobStore persistente, los reintentos con
+ * backoff exponencial y jitter, el circuit breaker por proveedor y la cola de fallidos.
+ * Cada subclase implementa processJob(payload) con la llamada al proveedor.
+ */
+class EnrichmentQueue {
+    constructor(db, { name, provider }) {
+        if (!db) {
+            throw new Error(`Database connection is required for ${this.constructor.name}`);
+        }
+        this.name = name;
+        this.provider = provider;
+        this.isProcessing = false;
+        this.isPaused = false;
+        this.shouldStop = false;
+        this.db = db;
+        this.collection = db.collection(constants.COLLECTION_NAME);
+        this.jobStore = new JobStore(db, name);
+        this.breaker = CircuitBreaker.forProvider(provider);
+
+        // Iniciar el procesamiento
+        this.startProcessing();
+        logger.info(`${this.constructor.name} initialized`);
+    }
+
+    async processJob(payload) {
+        throw new Error(`processJob() not implemented for ${this.constructor.name}`);
+    }
+
+    // Construye el payload del trabajo a partir de un evento almacenado (null si no aplica)
+    buildJobPayload(event) {
+        throw new Error(`buildJobPayload() not implemented for ${this.constructor.name}`);
+    }
+
+    async enqueueJob(key, payload) {
+        const added = await this.jobStore.enqueue(key, payload);
+        logger.debug(`Enqueueing ${this.name} request`, {
+            key,
+            alreadyQueued: !added
+        });
+        return added;
+    }
+
+    async startProcessing() {
+        if (this.isProcessing) {
+            return;
+        }
+
+        this.isProcessing = true;
+        this.processQueue().catch(error => {
+            logger.error(`${this.name} queue processing crashed`, {
+                error: error.message,
+                stack: error.stack
+            });
+            this.isProcessing = false;
+        });
+    }
+
+    stopProcessing() {
+        logger.info(`Stopping ${this.name} queue processing...`);
+        this.shouldStop = true;
+    }
+
+    pause() {
+        this.isPaused = true;
+        logger.info(`${this.name} queue paused`);
+    }
+
+    resume() {
+        this.isPaused = false;
+        logger.info(`${this.name} queue resumed`);
+    }
+
+    async processQueue() {
+        while (!this.shouldStop) {
+            if (this.isPaused) {
+                await delay(constants.QUEUE_REQUEST_DELAY_MS);
+                continue;
+            }
+
+            if (!this.breaker.canRequest()) {
+                const waitTime = this.breaker.getRemainingOpenMs();
+                logger.debug(`${this.breaker.provider} circuit is open, pausing ${this.name} queue`, {
+                    waitingForMs: waitTime
+                });
+                await delay(Math.min(waitTime, 30000)); // Check every 30s
+                continue;
+            }
+
+            let job;
+            try {
+                job = await this.jobStore.lease();
+            } catch (error) {
+                logger.error(`Error leasing ${this.name} job`, { error: error.message });
+            }
+
+            if (!job) {
+                await delay(constants.QUEUE_REQUEST_DELAY_MS);
+                continue;
+            }
+
+            logger.debug(`Processing ${this.name} request from queue`, {
+                key: job.key,
+                attempts: job.attempts
+            });
+
+            let jobError = null;
+            try {
+                await this.processJob(job.payload);
+            } catch (error) {
+                jobError = error;
+            }
+
+            // Si falla la escritura en MongoDB el trabajo se vuelve a ofrecer cuando caduque su lease
+            try {
+                if (jobError) {
+                    await this.handleJobError(job, jobError);
+                } else {
+                    await this.jobStore.complete(job);
+                    this.breaker.recordSuccess();
+                }
+            } catch (error) {
+                logger.error(`Error updating ${this.name} job`, {
+                    key: job.key,
+                    error: error.message
+                });
+            }
+
+            await delay(constants.QUEUE_REQUEST_DELAY_MS);
+        }
+        logger.info(`${this.name} queue processing stopped`);
+    }
+
+    async handleJobError(job, error) {
+        const status = error.response?.status;
+        const retryAfterMs = this.getRetryAfterMs(error);
+
+        logger.error(`Error processing ${this.name} request`, {
+            key: job.key,
+            error: error.message,
+            code: error.code,
+            status,
+            attempts: job.attempts
+        });
+
+        if (this.isProviderFailure(error)) {
+            this.breaker.recordFailure(retryAfterMs);
+
+            // Con el circuito abierto el fallo no es culpa del trabajo: no consume intento
+            if (this.breaker.isOpen()) {
+                await this.jobStore.release(job, this.breaker.getRemainingOpenMs());
+                return;
+            }
+        }
+
+        if (this.isRetriable(error) && job.attempts <= constants.MAX_QUEUE_RETRIES) {
+            const delayMs = Math.max(this.getBackoffDelay(job.attempts), retryAfterMs);
+            logger.info(`Re-enqueueing failed ${this.name} request due to transient error`, {
+                key: job.key,
+                attempts: job.attempts,
+                delayMs
+            });
+            await this.jobStore.retry(job, error, delayMs);
+            return;
+        }
+
+        logger.warn(`Moving ${this.name} request to dead-letter store`, {
+            key: job.key,
+            attempts: job.attempts
+        });
+        await this.jobStore.fail(job, error);
+    }
+
+    // 429, 5xx, timeouts y errores de red: el proveedor no está respondiendo bien
+    isProviderFailure(error) {
+        const status = error.response?.status;
+        if (status) {
+            return status === 429 || status >= 500;
+        }
+        return TRANSIENT_ERROR_CODES.includes(error.code) || !!error.request;
+    }
+
+    // Solo se reintentan los fallos del proveedor; los 4xx y los errores de programación son definitivos
+    isRetriable(error) {
+        return this.isProviderFailure(error);
+    }
+
+    // Backoff exponencial con jitter: entre la mitad y el total del retardo calculado
+    getBackoffDelay(attempts) {
+        const exponential = constants.QUEUE_RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+        const capped = Math.min(exponential, constants.QUEUE_RETRY_MAX_DELAY_MS);
+        return Math.round(capped / 2 + Math.random() * (capped / 2));
+    }
+
+    getRetryAfterMs(error) {
+        const header = error.response?.headers?.['retry-after'];
+        if (!header) {
+            return 0;
+        }
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = new Date(header);
+        return Number.isNaN(date.getTime()) ? 0 : Math.max(0, date.getTime() - Date.now());
+    }
+
+    async getQueueSize() {
+        return this.jobStore.countPending();
+    }
+
+    async getStatus() {
+        return {
+            name: this.name,
+            provider: this.provider,
+            paused: this.isPaused,
+            pending: await this.jobStore.count(JobStore.STATUS.PENDING),
+            processing: await this.jobStore.count(JobStore.STATUS.PROCESSING),
+            failed: await this.jobStore.count(JobStore.STATUS.FAILED),
+            circuit: this.breaker.getStatus()
+        };
+    }
+
+    async getJobs(status, options = {}) {
+        return this.jobStore.list(status, options);
+    }
+
+    // Fuerza un nuevo trabajo para el evento aunque ya se hubiera procesado o fallado
+    async requeueEvent(event) {
+        const payload = this.buildJobPayload(event);
+        if (!payload) {
+            return false;
+        }
+        return this.jobStore.requeue(event.id, payload);
+    }
+
+    async getDeadLetters(options = {}) {
+        return this.jobStore.list(JobStore.STATUS.FAILED, options);
+    }
+
+    async countDeadLetters() {
+        return this.jobStore.count(JobStore.STATUS.FAILED);
+    }
+
+    // Vuelve a encolar los trabajos fallidos indicados (o todos si no se indica ninguno)
+    async replayDeadLetters(keys) {
+        const replayed = await this.jobStore.replay(keys);
+        logger.info(`Replayed ${this.name} dead-letter jobs`, { replayed });
+        return replayed;
+    }
+
+    async clearQueue(status = JobStore.STATUS.PENDING) {
+        const size = await this.jobStore.clear(status);
+        logger.info(`${this.name} queue cleared`, { status, previousSize: size });
+        return size;
+    }
+}
+
+module.exports = EnrichmentQueue;
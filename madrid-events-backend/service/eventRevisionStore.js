@@ -0,0 +1,58 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+
+/**
+ * Historial de revisiones de eventos en MongoDB.
+ * Cada revisión guarda qué fuente cambió el evento, el hash del registro y los campos modificados.
+ */
+class EventRevisionStore {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection is required for EventRevisionStore');
+        }
+        this.collection = db.collection(constants.EVENT_REVISIONS_COLLECTION_NAME);
+    }
+
+    async record({ eventId, sourceId, source, hash, previousHash, changeTypes, changes }) {
+        const revision = {
+            eventId,
+            sourceId,
+            source,
+            hash,
+            previousHash: previousHash || null,
+            changeTypes,
+            changes,
+            createdAt: new Date()
+        };
+        await this.collection.insertOne(revision);
+        return revision;
+    }
+
+    // Revisiones del evento y de los registros de origen fusionados en él, de la más reciente a la más antigua
+    async listForEvent(eventIds, { limit = 50, skip = 0 } = {}) {
+        const query = {
+            $or: [
+                { eventId: { $in: eventIds } },
+                { sourceId: { $in: eventIds } }
+            ]
+        };
+        const [revisions, total] = await Promise.all([
+            this.collection.find(query, { projection: { _id: 0 } })
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .toArray(),
+            this.collection.countDocuments(query)
+        ]);
+        return { revisions, total };
+    }
+
+    static async createIndexes(db) {
+        const collection = db.collection(constants.EVENT_REVISIONS_COLLECTION_NAME);
+        await collection.createIndex({ eventId: 1, createdAt: -1 }, { name: 'event_revisions_event_created_index' });
+        await collection.createIndex({ sourceId: 1, createdAt: -1 }, { name: 'event_revisions_source_created_index' });
+        logger.info('Indexes ensured on event revisions collection.');
+    }
+}
+
+module.exports = EventRevisionStore;
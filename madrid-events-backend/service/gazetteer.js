@@ -0,0 +1,98 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../config/logger');
+const CoordinateUtils = require('../utils/coordinatesUtils');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const DISTRICTS_FILE = 'madrid-events.districts.geojson';
+const BARRIOS_FILE = 'madrid-events.barrios.geojson';
+
+// Nombres de propiedades de los GeoJSON del Ayuntamiento (NOMBRE, NOMDIS) y alternativas habituales
+const NAME_PROPERTIES = ['nombre', 'NOMBRE', 'name'];
+const DISTRICT_PROPERTIES = ['distrito', 'NOMDIS', 'district'];
+
+function readProperty(properties, keys) {
+    const key = keys.find(candidate => typeof properties?.[candidate] === 'string' && properties[candidate].trim());
+    return key ? properties[key].trim() : '';
+}
+
+/**
+ * Nomenclátor local de distritos y barrios de Madrid.
+ * Resuelve distrito/barrio de unas coordenadas por punto en polígono, sin llamadas externas.
+ */
+class Gazetteer {
+    constructor() {
+        this.districts = [];
+        this.barrios = [];
+    }
+
+    async load(assetsDir = ASSETS_DIR) {
+        this.districts = await this.loadAreas(path.join(assetsDir, DISTRICTS_FILE));
+        this.barrios = await this.loadAreas(path.join(assetsDir, BARRIOS_FILE));
+
+        logger.info('Gazetteer loaded', {
+            districts: this.districts.length,
+            barrios: this.barrios.length
+        });
+        return this.isLoaded();
+    }
+
+    async loadAreas(filePath) {
+        try {
+            const collection = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            return (collection.features || [])
+                .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+                .map(feature => ({
+                    name: readProperty(feature.properties, NAME_PROPERTIES),
+                    district: readProperty(feature.properties, DISTRICT_PROPERTIES),
+                    geometry: feature.geometry,
+                    bounds: CoordinateUtils.getGeometryBounds(feature.geometry)
+                }))
+                .filter(area => area.name);
+        } catch (error) {
+            logger.warn('Gazetteer file not available', {
+                filePath,
+                error: error.message
+            });
+            return [];
+        }
+    }
+
+    // Hacen falta los dos ficheros: con uno solo se perdería el distrito o el barrio de Nominatim
+    isLoaded() {
+        return this.districts.length > 0 && this.barrios.length > 0;
+    }
+
+    findArea(areas, lon, lat) {
+        return areas.find(({ bounds, geometry }) =>
+            lon >= bounds.minLon && lon <= bounds.maxLon &&
+            lat >= bounds.minLat && lat <= bounds.maxLat &&
+            CoordinateUtils.isPointInGeometry(lon, lat, geometry)
+        ) || null;
+    }
+
+    /**
+     * Distrito y barrio que contienen el punto; null si no hay datos cargados o el punto
+     * cae fuera del término municipal
+     */
+    resolve(latitude, longitude) {
+        const lat = Number(latitude);
+        const lon = Number(longitude);
+        if (!this.isLoaded() || !CoordinateUtils.isValidPoint(lon, lat)) {
+            return null;
+        }
+
+        const district = this.findArea(this.districts, lon, lat);
+        const barrio = this.findArea(this.barrios, lon, lat);
+        if (!district && !barrio) {
+            return null;
+        }
+
+        return {
+            distrito: district?.name || barrio?.district || '',
+            barrio: barrio?.name || ''
+        };
+    }
+}
+
+module.exports = new Gazetteer();
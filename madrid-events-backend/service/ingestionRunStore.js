@@ -0,0 +1,143 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+
+const RUN_STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * Historial de ejecuciones de ingesta en MongoDB.
+ * Cada ejecución guarda la fuente, el origen (arranque, programada o manual),
+ * inicio y fin, los contadores de eventos nuevos/actualizados/sin cambios/omitidos/fallidos y los errores.
+ */
+class IngestionRunStore {
+    constructor(db) {
+        if (!db) {
+            throw new Error('Database connection is required for IngestionRunStore');
+        }
+        this.collection = db.collection(constants.INGESTION_RUNS_COLLECTION_NAME);
+    }
+
+    static createStats() {
+        return {
+            counts: {
+                new: 0,
+                updated: 0,
+                unchanged: 0,
+                skipped: 0,
+                failed: 0
+            },
+            errors: []
+        };
+    }
+
+    static recordError(stats, message, eventId = null) {
+        if (stats.errors.length < MAX_STORED_ERRORS) {
+            stats.errors.push({ message, eventId });
+        }
+    }
+
+    async start(source, trigger) {
+        const run = {
+            source,
+            trigger,
+            status: RUN_STATUS.RUNNING,
+            startedAt: new Date(),
+            finishedAt: null,
+            durationMs: null,
+            total: 0,
+            ...IngestionRunStore.createStats()
+        };
+        const result = await this.collection.insertOne(run);
+        return { ...run, _id: result.insertedId };
+    }
+
+    async finish(run, stats, error = null) {
+        const finishedAt = new Date();
+        const errors = [...stats.errors];
+        if (error) {
+            errors.unshift({ message: error.message, eventId: null });
+        }
+
+        const update = {
+            status: error ? RUN_STATUS.FAILED : RUN_STATUS.COMPLETED,
+            finishedAt,
+            durationMs: finishedAt.getTime() - run.startedAt.getTime(),
+            total: stats.total || 0,
+            counts: stats.counts,
+            errors: errors.slice(0, MAX_STORED_ERRORS)
+        };
+        await this.collection.updateOne({ _id: run._id }, { $set: update });
+        return { ...run, ...update };
+    }
+
+    // Ejecuciones que quedaron a medias por un reinicio del proceso
+    async markInterrupted() {
+        const result = await this.collection.updateMany(
+            { status: RUN_STATUS.RUNNING },
+            {
+                $set: {
+                    status: RUN_STATUS.FAILED,
+                    finishedAt: new Date(),
+                    errors: [{ message: 'Interrupted by server restart', eventId: null }]
+                }
+            }
+        );
+        if (result.modifiedCount > 0) {
+            logger.warn('Marked interrupted ingestion runs as failed', {
+                runs: result.modifiedCount
+            });
+        }
+        return result.modifiedCount;
+    }
+
+    async list({ source, status, limit = 50, skip = 0 } = {}) {
+        const query = {};
+        if (source) {
+            query.source = source;
+        }
+        if (status) {
+            query.status = status;
+        }
+        return this.collection.find(query)
+            .sort({ startedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+    }
+
+    async getLastRun(source, status) {
+        const query = { source };
+        if (status) {
+            query.status = status;
+        }
+        return this.collection.findOne(query, { sort: { startedAt: -1 } });
+    }
+
+    // Última ejecución y última completada de cada fuente
+    async getLastRuns(sourceNames) {
+        const entries = await Promise.all(sourceNames.map(async source => {
+            const [lastRun, lastSuccessfulRun] = await Promise.all([
+                this.getLastRun(source),
+                this.getLastRun(source, RUN_STATUS.COMPLETED)
+            ]);
+            return [source, { lastRun, lastSuccessfulRun }];
+        }));
+        return Object.fromEntries(entries);
+    }
+
+    static async createIndexes(db) {
+        const collection = db.collection(constants.INGESTION_RUNS_COLLECTION_NAME);
+        await collection.createIndex({ source: 1, startedAt: -1 }, { name: 'ingestion_runs_source_started_index' });
+        await collection.createIndex({ status: 1, startedAt: -1 }, { name: 'ingestion_runs_status_started_index' });
+        logger.info('Indexes ensured on ingestion runs collection.');
+    }
+}
+
+IngestionRunStore.STATUS = RUN_STATUS;
+
+module.exports = IngestionRunStore;
@@ -0,0 +1,93 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+const CronUtils = require('../utils/cronUtils');
+
+/**
+ * Planificador de ingesta por fuente con expresiones cron en hora de Madrid.
+ * Se despierta al inicio de cada minuto y lanza las fuentes cuya programación coincide.
+ */
+class IngestionScheduler {
+    constructor(sources, runSources, { timeZone = constants.TIMEZONE } = {}) {
+        this.runSources = runSources;
+        this.timeZone = timeZone;
+        this.timeoutId = null;
+        this.schedules = [];
+
+        for (const source of sources) {
+            if (!source.schedule) {
+                logger.info(`No ingestion schedule for source ${source.name}, manual runs only`);
+                continue;
+            }
+            try {
+                this.schedules.push({
+                    source: source.name,
+                    expression: source.schedule,
+                    parsed: CronUtils.parse(source.schedule)
+                });
+            } catch (error) {
+                logger.error(`Invalid ingestion schedule for source ${source.name}`, {
+                    schedule: source.schedule,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    start() {
+        if (this.timeoutId) {
+            return;
+        }
+        logger.info('Ingestion scheduler started', {
+            timeZone: this.timeZone,
+            schedules: this.schedules.map(({ source, expression }) => ({ source, schedule: expression }))
+        });
+        this.scheduleNextTick();
+    }
+
+    stop() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        logger.info('Ingestion scheduler stopped');
+    }
+
+    // Alinea cada comprobación con el inicio del minuto siguiente
+    scheduleNextTick() {
+        const now = Date.now();
+        const msToNextMinute = 60000 - (now % 60000);
+        this.timeoutId = setTimeout(() => {
+            this.tick(new Date());
+            this.scheduleNextTick();
+        }, msToNextMinute + 50);
+    }
+
+    tick(date) {
+        const dueSources = this.schedules
+            .filter(({ parsed }) => CronUtils.matches(parsed, date, this.timeZone))
+            .map(({ source }) => source);
+
+        if (dueSources.length === 0) {
+            return;
+        }
+
+        // Las fuentes que coinciden en el mismo minuto se ingieren en una sola pasada
+        logger.info('Scheduled ingestion due', { sources: dueSources });
+        Promise.resolve(this.runSources(dueSources)).catch(error => {
+            logger.error('Scheduled ingestion failed', {
+                sources: dueSources,
+                error: error.message,
+                stack: error.stack
+            });
+        });
+    }
+
+    getSchedules(from = new Date()) {
+        return this.schedules.map(({ source, expression, parsed }) => ({
+            source,
+            schedule: expression,
+            timeZone: this.timeZone,
+            nextRunAt: CronUtils.getNextRun(parsed, this.timeZone, from)
+        }));
+    }
+}
+
+module.exports = IngestionScheduler;
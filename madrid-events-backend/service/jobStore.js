@@ -0,0 +1,244 @@
+const os = require('os');
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    FAILED: 'failed'
+};
+
+/**
+ * Almacén persistente de trabajos de enriquecimiento en MongoDB.
+ * Cada cola guarda sus trabajos con estado, intentos, próxima ejecución y último error.
+ * Los trabajos se toman con un lease: si el proceso muere, el lease caduca y otro lo recoge.
+ */
+class JobStore {
+    constructor(db, queueName) {
+        if (!db) {
+            throw new Error('Database connection is required for JobStore');
+        }
+        if (!queueName) {
+            throw new Error('Queue name is required for JobStore');
+        }
+        this.queueName = queueName;
+        this.collection = db.collection(constants.JOBS_COLLECTION_NAME);
+        this.owner = `${os.hostname()}:${process.pid}`;
+    }
+
+    async enqueue(key, payload) {
+        const now = new Date();
+        let result;
+        try {
+            result = await this.collection.updateOne(
+                { queue: this.queueName, key },
+                {
+                    $set: { payload },
+                    $setOnInsert: {
+                        queue: this.queueName,
+                        key,
+                        status: JOB_STATUS.PENDING,
+                        attempts: 0,
+                        nextRunAt: now,
+                        lockedUntil: null,
+                        leaseOwner: null,
+                        lastError: null,
+                        createdAt: now,
+                        updatedAt: now
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Dos upserts simultáneos del mismo trabajo: el otro ya lo ha insertado
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+        return result.upsertedCount > 0;
+    }
+
+    // Reinicia (o crea) el trabajo como pendiente salvo que otro proceso lo tenga en curso
+    async requeue(key, payload) {
+        const now = new Date();
+        try {
+            await this.collection.updateOne(
+                {
+                    queue: this.queueName,
+                    key,
+                    $or: [
+                        { status: { $ne: JOB_STATUS.PROCESSING } },
+                        { lockedUntil: { $lt: now } }
+                    ]
+                },
+                {
+                    $set: {
+                        payload,
+                        status: JOB_STATUS.PENDING,
+                        attempts: 0,
+                        nextRunAt: now,
+                        lockedUntil: null,
+                        leaseOwner: null,
+                        updatedAt: now
+                    },
+                    $setOnInsert: {
+                        queue: this.queueName,
+                        key,
+                        lastError: null,
+                        createdAt: now
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+        return true;
+    }
+
+    // Toma el siguiente trabajo disponible de forma atómica
+    async lease() {
+        const now = new Date();
+        return this.collection.findOneAndUpdate(
+            {
+                queue: this.queueName,
+                $or: [
+                    { status: JOB_STATUS.PENDING, nextRunAt: { $lte: now } },
+                    { status: JOB_STATUS.PROCESSING, lockedUntil: { $lt: now } }
+                ]
+            },
+            {
+                $set: {
+                    status: JOB_STATUS.PROCESSING,
+                    lockedUntil: new Date(now.getTime() + constants.JOB_LEASE_MS),
+                    leaseOwner: this.owner,
+                    updatedAt: now
+                },
+                $inc: { attempts: 1 }
+            },
+            {
+                sort: { nextRunAt: 1 },
+                returnDocument: 'after'
+            }
+        );
+    }
+
+    async complete(job) {
+        await this.collection.deleteOne({ _id: job._id, leaseOwner: this.owner });
+    }
+
+    async retry(job, error, delayMs) {
+        await this.collection.updateOne(
+            { _id: job._id, leaseOwner: this.owner },
+            {
+                $set: {
+                    status: JOB_STATUS.PENDING,
+                    nextRunAt: new Date(Date.now() + delayMs),
+                    lockedUntil: null,
+                    leaseOwner: null,
+                    lastError: error ? error.message : null,
+                    updatedAt: new Date()
+                }
+            }
+        );
+    }
+
+    // Devuelve el trabajo a la cola sin consumir el intento
+    async release(job, delayMs = 0) {
+        await this.collection.updateOne(
+            { _id: job._id, leaseOwner: this.owner },
+            {
+                $set: {
+                    status: JOB_STATUS.PENDING,
+                    nextRunAt: new Date(Date.now() + delayMs),
+                    lockedUntil: null,
+                    leaseOwner: null,
+                    updatedAt: new Date()
+                },
+                $inc: { attempts: -1 }
+            }
+        );
+    }
+
+    async fail(job, error) {
+        await this.collection.updateOne(
+            { _id: job._id, leaseOwner: this.owner },
+            {
+                $set: {
+                    status: JOB_STATUS.FAILED,
+                    lockedUntil: null,
+                    leaseOwner: null,
+                    lastError: error ? error.message : null,
+                    failedAt: new Date(),
+                    updatedAt: new Date()
+                }
+            }
+        );
+    }
+
+    async countPending() {
+        return this.collection.countDocuments({
+            queue: this.queueName,
+            status: { $in: [JOB_STATUS.PENDING, JOB_STATUS.PROCESSING] }
+        });
+    }
+
+    async count(status) {
+        return this.collection.countDocuments({ queue: this.queueName, status });
+    }
+
+    async list(status, { limit = 50, skip = 0 } = {}) {
+        const query = { queue: this.queueName };
+        if (status) {
+            query.status = status;
+        }
+        return this.collection.find(query)
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+    }
+
+    // Devuelve trabajos fallidos a pendientes con los intentos a cero
+    async replay(keys) {
+        const query = { queue: this.queueName, status: JOB_STATUS.FAILED };
+        if (Array.isArray(keys) && keys.length > 0) {
+            query.key = { $in: keys };
+        }
+        const now = new Date();
+        const result = await this.collection.updateMany(query, {
+            $set: {
+                status: JOB_STATUS.PENDING,
+                attempts: 0,
+                nextRunAt: now,
+                replayedAt: now,
+                updatedAt: now
+            }
+        });
+        return result.modifiedCount;
+    }
+
+    // Sin estado se eliminan los pendientes y los fallidos; los que están en curso se respetan
+    async clear(status) {
+        const result = await this.collection.deleteMany({
+            queue: this.queueName,
+            status: status || { $in: [JOB_STATUS.PENDING, JOB_STATUS.FAILED] }
+        });
+        return result.deletedCount;
+    }
+
+    static async createIndexes(db) {
+        const collection = db.collection(constants.JOBS_COLLECTION_NAME);
+        await collection.createIndex({ queue: 1, key: 1 }, { name: 'jobs_queue_key_index', unique: true });
+        await collection.createIndex({ queue: 1, status: 1, nextRunAt: 1 }, { name: 'jobs_queue_status_next_run_index' });
+        logger.info('Indexes ensured on enrichment jobs collection.');
+    }
+}
+
+JobStore.STATUS = JOB_STATUS;
+
+module.exports = JobStore;
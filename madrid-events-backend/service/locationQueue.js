@@ -1,27 +1,18 @@
 const logger = require('../config/logger');
 const axios = require('../config/axios');
 const constants = require('../config/constants');
+const EnrichmentQueue = require('./enrichmentQueue');
+const gazetteer = require('./gazetteer');
 
-class LocationQueue {
+class LocationQueue extends EnrichmentQueue {
     constructor(db) {
-        if (!db) {
-            throw new Error('Database connection is required for LocationQueue');
-        }
-        this.queue = [];
-        this.isProcessing = false;
-        this.shouldStop = false;
-        this.blockedUntil = null;
-        this.db = db;
-        this.collection = db.collection(constants.COLLECTION_NAME);
-
-        // Iniciar el procesamiento
-        this.startProcessing();
-        logger.info('LocationQueue initialized');
+        super(db, { name: 'location', provider: 'nominatim' });
     }
 
     /**
      * Obtiene los detalles de ubicación para unas coordenadas dadas
-     * Si no están en la base de datos, encola la petición y devuelve valores vacíos
+     * Distrito y barrio salen del nomenclátor local; Nominatim solo se usa para la dirección,
+     * así que si falta se encola la petición y se devuelve lo que haya
      */
     async getLocationDetails(latitude, longitude, eventId) {
         try {
@@ -37,19 +28,22 @@ class LocationQueue {
 
             // Verificar si ya tenemos los datos en la base de datos
             const existingEvent = await this.collection.findOne({ id: eventId });
+            const area = gazetteer.resolve(latitude, longitude);
+            const distrito = area ? area.distrito : existingEvent?.distrito || '';
+            const barrio = area ? area.barrio : existingEvent?.barrio || '';
 
-            // Si ya tenemos todos los datos de ubicación, los devolvemos
+            // Si ya tenemos la dirección (y el distrito cuando no hay nomenclátor), la devolvemos
             if (existingEvent &&
-                (existingEvent.distrito || existingEvent.barrio) &&
                 existingEvent.streetAddress &&
-                existingEvent.locality) {
+                existingEvent.locality &&
+                (area || distrito || barrio)) {
                 logger.debug('Returning existing location details', {
                     eventId,
-                    distrito: existingEvent.distrito
+                    distrito
                 });
                 return {
-                    distrito: existingEvent.distrito,
-                    barrio: existingEvent.barrio,
+                    distrito,
+                    barrio,
                     direccion: existingEvent.streetAddress,
                     ciudad: existingEvent.locality
                 };
@@ -58,14 +52,13 @@ class LocationQueue {
             // Si no tenemos datos completos, encolamos la petición
             await this.enqueue(latitude, longitude, eventId);
             logger.debug('Location request enqueued for incomplete data', {
-                eventId,
-                queueSize: this.queue.length
+                eventId
             });
 
             // Devolvemos los datos que tengamos (o valores vacíos si no hay nada)
             return {
-                distrito: existingEvent?.distrito || '',
-                barrio: existingEvent?.barrio || '',
+                distrito,
+                barrio,
                 direccion: existingEvent?.streetAddress || '',
                 ciudad: existingEvent?.locality || ''
             };
@@ -94,192 +87,71 @@ class LocationQueue {
             return;
         }
 
-        if (this.queue.length >= constants.MAX_QUEUE_LENGTH) {
-            const dropped = this.queue.shift();
-            logger.warn('Location queue reached max length, dropping oldest request', {
-                droppedEventId: dropped?.eventId
-            });
-        }
-
-        logger.debug('Enqueueing location request', {
-            eventId,
+        await this.enqueueJob(eventId, {
             latitude,
             longitude,
-            queueLength: this.queue.length
+            eventId
         });
-
-        // Verificar si ya existe en la cola
-        const existingRequest = this.queue.find(req =>
-            req.eventId === eventId &&
-            req.latitude === latitude &&
-            req.longitude === longitude
-        );
-
-        if (!existingRequest) {
-            this.queue.push({
-                latitude,
-                longitude,
-                eventId,
-                timestamp: new Date(),
-                retries: 0
-            });
-        }
     }
 
-    async startProcessing() {
-        if (this.isProcessing) {
-            return;
+    buildJobPayload(event) {
+        if (event.latitude == null || event.longitude == null) {
+            return null;
         }
-
-        this.isProcessing = true;
-        this.processQueue();
+        return {
+            latitude: event.latitude,
+            longitude: event.longitude,
+            eventId: event.id
+        };
     }
 
-        stopProcessing() {
-            logger.info('Stopping location queue processing...');
-            this.shouldStop = true;
+    async processJob(request) {
+        const params = new URLSearchParams({
+            lat: String(request.latitude),
+            lon: String(request.longitude),
+            format: 'json'
+        });
+        if (constants.NOMINATIM_EMAIL) {
+            params.append('email', constants.NOMINATIM_EMAIL);
         }
+        const url = `${constants.NOMINATIM_API_BASE}?${params.toString()}`;
+        logger.debug('Making Nominatim API request', { url });
 
-    async processQueue() {
-        while (!this.shouldStop) {
-            if (this.queue.length === 0) {
-                await new Promise(resolve => setTimeout(resolve, constants.QUEUE_REQUEST_DELAY_MS));
-                continue;
-            }
-
-            // Check if service is temporarily blocked
-            if (this.blockedUntil && new Date() < this.blockedUntil) {
-                const waitTime = this.blockedUntil.getTime() - new Date().getTime();
-                logger.warn('Nominatim service is temporarily blocked/unreachable. Pausing queue.', {
-                    blockedUntil: this.blockedUntil,
-                    waitingForMs: waitTime
-                });
-                await new Promise(resolve => setTimeout(resolve, Math.min(waitTime, 30000))); // Check every 30s
-                continue;
-            } else if (this.blockedUntil) {
-                logger.info('Resuming Nominatim service processing after block period.');
-                this.blockedUntil = null;
-            }
-
-            const request = this.queue.shift();
-            let delayMs = constants.QUEUE_REQUEST_DELAY_MS;
-            logger.debug('Processing location request from queue', {
-                eventId: request.eventId,
-                queueLength: this.queue.length
-            });
-
-            try {
-                const params = new URLSearchParams({
-                    lat: String(request.latitude),
-                    lon: String(request.longitude),
-                    format: 'json'
-                });
-                if (constants.NOMINATIM_EMAIL) {
-                    params.append('email', constants.NOMINATIM_EMAIL);
-                }
-                const url = `${constants.NOMINATIM_API_BASE}?${params.toString()}`;
-                logger.debug('Making Nominatim API request', { url });
-
-                const response = await axios.get(url, {
-                    headers: {
-                        'User-Agent': constants.HTTP_USER_AGENT,
-                        'Accept-Language': 'es'
-                    }
-                });
-                const { address } = response.data;
-
-                const locationDetails = {
-                    distrito: address.quarter || '',
-                    barrio: address.suburb || '',
-                    direccion: address.road || '',
-                    ciudad: address.city || ''
-                };
-
-                // Actualizar en la base de datos
-                const result = await this.collection.updateOne(
-                    { id: request.eventId },
-                    {
-                        $set: {
-                            distrito: locationDetails.distrito,
-                            barrio: locationDetails.barrio,
-                            streetAddress: locationDetails.direccion,
-                            locality: locationDetails.ciudad,
-                            locationLastUpdated: new Date()
-                        }
-                    }
-                );
-
-                logger.debug('Location details updated in database', {
-                    eventId: request.eventId,
-                    success: result.modifiedCount > 0,
-                    details: locationDetails
-                });
-
-            } catch (error) {
-                const status = error.response?.status;
-                const aggregateErrors = error instanceof AggregateError ? error.errors : undefined;
-                
-                // Handle connection refused specifically (Circuit Breaker)
-                if (error.code === 'ECONNREFUSED') {
-                    const blockDurationMs = 5 * 60 * 1000; // 5 minutes
-                    this.blockedUntil = new Date(Date.now() + blockDurationMs);
-                    
-                    logger.warn('Connection refused by Nominatim service. Blocking requests for 5 minutes.', {
-                        eventId: request.eventId,
-                        blockedUntil: this.blockedUntil
-                    });
-                    
-                    // Re-enqueue the current request so it's not lost
-                    this.queue.unshift(request);
-                    
-                    // Wait a bit to avoid tight loop if something is weird
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    continue;
-                }
-
-                logger.error('Error processing location request', {
-                    eventId: request.eventId,
-                    error: error.message,
-                    code: error.code,
-                    status,
-                    aggregateErrors: aggregateErrors?.map(err => ({
-                        message: err?.message,
-                        code: err?.code
-                    })),
-                    stack: error.stack
-                });
-
-                if (status === 429) {
-                    delayMs = constants.QUEUE_REQUEST_DELAY_MS * 4;
-                }
-
-                const retriableStatus = status >= 500 || status === 429;
-                const retriableNetworkError = !error.response;
-                if ((retriableStatus || retriableNetworkError) && request.retries < constants.MAX_QUEUE_RETRIES) {
-                    request.retries += 1;
-                    logger.info('Re-enqueueing failed request due to transient error', {
-                        eventId: request.eventId,
-                        retries: request.retries
-                    });
-                    this.queue.push(request);
-                } else if (request.retries >= constants.MAX_QUEUE_RETRIES) {
-                    logger.warn('Dropping request after max retries', { eventId: request.eventId });
-                }
+        const response = await axios.get(url, {
+            headers: {
+                'User-Agent': constants.HTTP_USER_AGENT,
+                'Accept-Language': 'es'
             }
-
-            await new Promise(resolve => setTimeout(resolve, delayMs));
+        });
+        const { address } = response.data;
+
+        const locationDetails = {
+            direccion: address.road || '',
+            ciudad: address.city || ''
+        };
+        const update = {
+            streetAddress: locationDetails.direccion,
+            locality: locationDetails.ciudad,
+            locationLastUpdated: new Date()
+        };
+
+        // Sin nomenclátor cargado se mantienen el distrito y el barrio de Nominatim
+        if (!gazetteer.isLoaded()) {
+            update.distrito = address.quarter || '';
+            update.barrio = address.suburb || '';
         }
-    }
 
-    getQueueSize() {
-        return this.queue.length;
-    }
+        // Actualizar en la base de datos
+        const result = await this.collection.updateOne(
+            { id: request.eventId },
+            { $set: update }
+        );
 
-    // Método para limpiar la cola (útil para tests o mantenimiento)
-    clearQueue() {
-        const size = this.queue.length;
-        this.queue = [];
-        logger.info('Queue cleared', { previousSize: size });
+        logger.debug('Location details updated in database', {
+            eventId: request.eventId,
+            success: result.modifiedCount > 0,
+            details: locationDetails
+        });
     }
 }
 
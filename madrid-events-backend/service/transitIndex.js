@@ -0,0 +1,149 @@
+const logger = require('../config/logger');
+const constants = require('../config/constants');
+const transitModes = require('../config/transit');
+const CoordinateUtils = require('../utils/coordinatesUtils');
+
+const KM_PER_DEGREE = 111.32;
+
+// Proyección equirectangular en km: suficiente para distancias de pocos km dentro de la ciudad
+function project(latitude, longitude) {
+    return [
+        longitude * KM_PER_DEGREE * Math.cos(constants.BASE_LAT * Math.PI / 180),
+        latitude * KM_PER_DEGREE
+    ];
+}
+
+function buildTree(points, depth = 0) {
+    if (points.length === 0) {
+        return null;
+    }
+    const axis = depth % 2;
+    points.sort((a, b) => a.coords[axis] - b.coords[axis]);
+    const middle = Math.floor(points.length / 2);
+    return {
+        point: points[middle],
+        axis,
+        left: buildTree(points.slice(0, middle), depth + 1),
+        right: buildTree(points.slice(middle + 1), depth + 1)
+    };
+}
+
+// Puntos del árbol dentro del cuadrado de lado 2·radius centrado en target
+function searchTree(node, target, radius, found) {
+    if (!node) {
+        return found;
+    }
+    const [x, y] = node.point.coords;
+    if (Math.abs(x - target[0]) <= radius && Math.abs(y - target[1]) <= radius) {
+        found.push(node.point);
+    }
+    const delta = target[node.axis] - node.point.coords[node.axis];
+    if (delta - radius <= 0) {
+        searchTree(node.left, target, radius, found);
+    }
+    if (delta + radius >= 0) {
+        searchTree(node.right, target, radius, found);
+    }
+    return found;
+}
+
+/**
+ * Índice k-d de paradas de transporte (y sus accesos), uno por modo, para buscar las más
+ * cercanas sin llamadas externas. Las paradas sin coordenadas o de modos no configurados no se indexan.
+ */
+class TransitIndex {
+    constructor() {
+        this.trees = new Map();
+        this.size = 0;
+    }
+
+    build(stops) {
+        const pointsByMode = new Map(transitModes.map(mode => [mode.id, []]));
+        for (const stop of stops || []) {
+            const points = pointsByMode.get(stop.mode);
+            if (!points) {
+                continue;
+            }
+            const entrances = Array.isArray(stop.entrances) ? stop.entrances : [];
+            const locations = [stop, ...entrances]
+                .filter(location => CoordinateUtils.isValidPoint(location.longitude, location.latitude));
+            for (const location of locations) {
+                points.push({
+                    stop,
+                    latitude: location.latitude,
+                    longitude: location.longitude,
+                    coords: project(location.latitude, location.longitude)
+                });
+            }
+        }
+
+        this.trees = new Map();
+        this.size = 0;
+        const pointsPerMode = {};
+        for (const [mode, points] of pointsByMode) {
+            pointsPerMode[mode] = points.length;
+            this.size += points.length;
+            if (points.length > 0) {
+                this.trees.set(mode, buildTree(points));
+            }
+        }
+
+        logger.info('Transit index built', {
+            stops: (stops || []).length,
+            points: pointsPerMode
+        });
+        return this.size > 0;
+    }
+
+    hasMode(mode) {
+        return this.trees.has(mode);
+    }
+
+    /**
+     * Paradas de un modo más cercanas a un punto, ordenadas por distancia a pie estimada
+     * (distancia en línea recta al acceso más próximo corregida por el trazado de las calles)
+     */
+    findNearest(latitude, longitude, modeId) {
+        const mode = transitModes.find(candidate => candidate.id === modeId);
+        const tree = this.trees.get(modeId);
+        const lat = Number(latitude);
+        const lon = Number(longitude);
+        if (!mode || !tree || !CoordinateUtils.isValidPoint(lon, lat)) {
+            return [];
+        }
+
+        const radiusKm = mode.radiusMeters / 1000;
+        // Margen sobre el radio para compensar la proyección lejos de la latitud base
+        const candidates = searchTree(tree, project(lat, lon), radiusKm * 1.05, []);
+
+        const byStop = new Map();
+        for (const candidate of candidates) {
+            const distanceKm = CoordinateUtils.getDistanceKm(lat, lon, candidate.latitude, candidate.longitude);
+            const current = byStop.get(candidate.stop);
+            if (distanceKm <= radiusKm && (current === undefined || distanceKm < current)) {
+                byStop.set(candidate.stop, distanceKm);
+            }
+        }
+
+        return [...byStop.entries()]
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, mode.limit)
+            .map(([stop, distanceKm]) => {
+                const walkingDistance = Math.round(distanceKm * 1000 * constants.WALKING_DETOUR_FACTOR);
+                return {
+                    mode: mode.id,
+                    name: stop.name,
+                    lines: (stop.lines || []).map(line => ({ ...line, color: line.color || mode.color })),
+                    walkingDistance,
+                    walkingMinutes: Math.max(1, Math.round(walkingDistance / constants.WALKING_SPEED_M_PER_MIN))
+                };
+            });
+    }
+
+    // Paradas más cercanas de cada modo configurado, en el orden de config/transit.js
+    findTransit(latitude, longitude) {
+        return transitModes.flatMap(mode => this.findNearest(latitude, longitude, mode.id));
+    }
+}
+
+module.exports = new TransitIndex();
@@ -0,0 +1,46 @@
+const logger = require('../config/logger');
+const { EventDomainService } = require('../domain');
+const StringUtils = require('../utils/stringUtils');
+const EventSource = require('./eventSource');
+
+// Agenda de actividades culturales de datos.madrid.es (JSON-LD)
+class DatosMadridSource extends EventSource {
+    async parse(data) {
+        let eventsData = data;
+        logger.info(`Received response from ${this.name} with length: ${JSON.stringify(eventsData).length}`);
+
+        if (typeof eventsData === 'string') {
+            logger.info('Response is string, attempting to clean and parse');
+            eventsData = StringUtils.stripInvalidControlCharacters(eventsData);
+            try {
+                eventsData = JSON.parse(eventsData);
+            } catch (parseError) {
+                const position = Number((parseError.message.match(/position (\d+)/) || [])[1] || 0);
+                logger.error('Error parsing JSON:', {
+                    source: this.name,
+                    error: parseError.message,
+                    data: eventsData.substring(Math.max(0, position - 50), position + 50) + '...' //Show the area around the error
+                });
+                throw parseError;
+            }
+        }
+
+        if (!eventsData || !eventsData['@graph']) {
+            logger.error('Invalid data structure received:', {
+                source: this.name,
+                keys: Object.keys(eventsData || {}),
+                dataType: typeof eventsData,
+                sample: JSON.stringify(eventsData).substring(0, 200) + '...'
+            });
+            throw new Error('Unexpected API response structure: missing @graph');
+        }
+
+        return eventsData['@graph'];
+    }
+
+    toEvent(record) {
+        return EventDomainService.fromJSON(record);
+    }
+}
+
+module.exports = DatosMadridSource;
@@ -0,0 +1,54 @@
+const xml2js = require('xml2js');
+const logger = require('../config/logger');
+const { EventDomainService } = require('../domain');
+const EventSource = require('./eventSource');
+
+// Agenda de esmadrid.com (XML)
+class EsMadridSource extends EventSource {
+    async parse(xmlData) {
+        logger.info(`Received XML response from ${this.name} with length: ${xmlData.length}`);
+
+        const parser = new xml2js.Parser();
+        let result;
+        try {
+            result = await parser.parseStringPromise(xmlData);
+            logger.info('XML successfully parsed', { source: this.name });
+        } catch (parseError) {
+            logger.error('Error parsing XML:', {
+                source: this.name,
+                error: parseError.message,
+                stack: parseError.stack,
+                xmlSample: String(xmlData).substring(0, 200) + '...'
+            });
+            throw parseError;
+        }
+
+        if (!result || !result.serviceList || !result.serviceList.service) {
+            logger.error('Invalid XML structure received:', {
+                source: this.name,
+                resultKeys: result ? Object.keys(result) : 'null',
+                hasServiceList: result ? !!result.serviceList : false,
+                hasService: result?.serviceList ? !!result.serviceList.service : false,
+                sample: JSON.stringify(result).substring(0, 200) + '...'
+            });
+            throw new Error('Unexpected XML structure');
+        }
+
+        return result.serviceList.service;
+    }
+
+    toEvent(record) {
+        const event = EventDomainService.fromXMLData(record);
+        if (!event) {
+            logger.warn(`Failed to create event from XML data`);
+            return null;
+        }
+        if (!EventDomainService.isActive(event)) {
+            logger.debug(`Skipping inactive event ${event.id}`);
+            return null;
+        }
+        return event;
+    }
+}
+
+module.exports = EsMadridSource;
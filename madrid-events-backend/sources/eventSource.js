@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const axios = require('../config/axios');
+const logger = require('../config/logger');
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Clase base para los adaptadores de fuentes de eventos.
+ * Cada fuente declara cómo descargar su feed (fetch), cómo extraer los
+ * registros individuales (parse) y cómo mapear cada registro a un Event (toEvent).
+ */
+class EventSource {
+    constructor({ name, url, enabled = true, batchSize = 5, schedule = null, ...options }) {
+        if (!name) {
+            throw new Error('Event source name is required');
+        }
+        this.name = name;
+        this.url = url;
+        this.enabled = enabled;
+        this.batchSize = batchSize;
+        this.schedule = schedule;
+        this.options = options;
+    }
+
+    async fetch() {
+        if (!this.url) {
+            throw new Error(`No URL configured for source ${this.name}`);
+        }
+
+        logger.info(`Fetching events from source ${this.name}: ${this.url}`);
+        const response = await axios.get(this.url);
+
+        if (!response || !response.data) {
+            throw new Error(`No data received from source ${this.name}`);
+        }
+
+        return response.data;
+    }
+
+    // Devuelve un array con los registros en bruto del feed
+    async parse(data) {
+        throw new Error(`parse() not implemented for source ${this.name}`);
+    }
+
+    // Devuelve un Event o null si el registro debe descartarse
+    toEvent(record) {
+        throw new Error(`toEvent() not implemented for source ${this.name}`);
+    }
+
+    // Hash del registro en bruto con las claves ordenadas, para detectar cambios entre ingestas
+    hashRecord(record) {
+        return crypto.createHash('sha256').update(stableStringify(record)).digest('hex');
+    }
+
+    describe(record) {
+        return JSON.stringify(record).substring(0, 200) + '...';
+    }
+}
+
+module.exports = EventSource;
@@ -0,0 +1,54 @@
+const logger = require('../config/logger');
+const sourcesConfig = require('../config/sources');
+const EventSource = require('./eventSource');
+const DatosMadridSource = require('./datosMadridSource');
+const EsMadridSource = require('./esMadridSource');
+
+// Tipos de adaptador disponibles, referenciados por "type" en config/sources.js
+const sourceTypes = {
+    'datos-madrid-json': DatosMadridSource,
+    'esmadrid-xml': EsMadridSource
+};
+
+let sources = null;
+
+function registerSourceType(type, SourceClass) {
+    if (!(SourceClass.prototype instanceof EventSource)) {
+        throw new Error(`Source type ${type} must extend EventSource`);
+    }
+    sourceTypes[type] = SourceClass;
+}
+
+function loadSources(config = sourcesConfig) {
+    return config
+        .filter(sourceConfig => sourceConfig.enabled !== false)
+        .map(({ type, ...options }) => {
+            const SourceClass = sourceTypes[type];
+            if (!SourceClass) {
+                throw new Error(`Unknown event source type: ${type}`);
+            }
+            return new SourceClass(options);
+        });
+}
+
+function getSources() {
+    if (!sources) {
+        sources = loadSources();
+        logger.info('Event sources loaded', {
+            sources: sources.map(source => source.name)
+        });
+    }
+    return sources;
+}
+
+function getSource(name) {
+    return getSources().find(source => source.name === name) || null;
+}
+
+module.exports = {
+    EventSource,
+    registerSourceType,
+    loadSources,
+    getSources,
+    getSource
+};
@@ -1,3 +1,5 @@
+const EARTH_RADIUS_KM = 6371;
+
 class CoordinateUtils {
     static validateCoordinates(lat, lon) {
         if (lat === '' || lon === '') {
@@ -5,7 +7,173 @@ class CoordinateUtils {
         }
         const latValue = Number(lat);
         const lonValue = Number(lon);
-        return Number.isFinite(latValue) && Number.isFinite(lonValue);
+        return Number.isFinite(latValue) && Number.isFinite(lonValue) &&
+            Math.abs(latValue) <= 90 && Math.abs(lonValue) <= 180;
+    }
+
+    // Punto de referencia de la petición (lat/lon de la query) o la ubicación base por defecto; null si no es válido
+    static resolveOrigin(lat, lon, defaults) {
+        if (typeof lat === 'undefined' && typeof lon === 'undefined') {
+            return { lat: defaults.lat, lon: defaults.lon };
+        }
+        if (!this.validateCoordinates(lat, lon)) {
+            return null;
+        }
+        // Redondeo a ~10 m para que las claves de caché sean reutilizables
+        return {
+            lat: Math.round(Number(lat) * 10000) / 10000,
+            lon: Math.round(Number(lon) * 10000) / 10000
+        };
+    }
+
+    static isValidPoint(lon, lat) {
+        return Number.isFinite(lon) && Number.isFinite(lat) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+    }
+
+    static toGeoPoint(lat, lon) {
+        return { type: 'Point', coordinates: [lon, lat] };
+    }
+
+    // bbox=minLon,minLat,maxLon,maxLat (como getBounds().toBBoxString() de Leaflet); null si no es válido
+    static parseBoundingBox(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const parts = value.split(',').map(part => Number(part.trim()));
+        if (parts.length !== 4) {
+            return null;
+        }
+        const [minLon, minLat, maxLon, maxLat] = parts;
+        if (!this.isValidPoint(minLon, minLat) || !this.isValidPoint(maxLon, maxLat) ||
+            minLon >= maxLon || minLat >= maxLat) {
+            return null;
+        }
+        return { minLon, minLat, maxLon, maxLat };
+    }
+
+    // polygon=lon,lat;lon,lat;... (al menos tres vértices, se cierra automáticamente); null si no es válido
+    static parsePolygon(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const points = value.split(';')
+            .map(pair => pair.split(',').map(part => Number(part.trim())))
+            .filter(pair => pair.length === 2);
+        if (points.length < 3 || !points.every(([lon, lat]) => this.isValidPoint(lon, lat))) {
+            return null;
+        }
+
+        const [firstLon, firstLat] = points[0];
+        const [lastLon, lastLat] = points[points.length - 1];
+        if (firstLon !== lastLon || firstLat !== lastLat) {
+            points.push([firstLon, firstLat]);
+        }
+        return points.length >= 4 ? points : null;
+    }
+
+    static boundingBoxToPolygon({ minLon, minLat, maxLon, maxLat }) {
+        return [
+            [minLon, minLat],
+            [maxLon, minLat],
+            [maxLon, maxLat],
+            [minLon, maxLat],
+            [minLon, minLat]
+        ];
+    }
+
+    // Condición $geoWithin sobre location para un radio en km alrededor del punto
+    static buildRadiusFilter(lat, lon, radiusKm) {
+        return {
+            $geoWithin: {
+                $centerSphere: [[lon, lat], radiusKm / EARTH_RADIUS_KM]
+            }
+        };
+    }
+
+    static buildPolygonFilter(ring) {
+        return {
+            $geoWithin: {
+                $geometry: {
+                    type: 'Polygon',
+                    coordinates: [ring]
+                }
+            }
+        };
+    }
+
+    // Distancia en km (haversine) entre dos puntos
+    static getDistanceKm(lat1, lon1, lat2, lon2) {
+        const toRadians = value => value * Math.PI / 180;
+        const halfDeltaLat = toRadians(lat2 - lat1) / 2;
+        const halfDeltaLon = toRadians(lon2 - lon1) / 2;
+        const a = Math.sin(halfDeltaLat) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(halfDeltaLon) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    // Rectángulo que envuelve un Polygon o MultiPolygon GeoJSON
+    static getGeometryBounds(geometry) {
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+        for (const polygon of polygons) {
+            for (const [lon, lat] of polygon[0]) {
+                bounds.minLon = Math.min(bounds.minLon, lon);
+                bounds.minLat = Math.min(bounds.minLat, lat);
+                bounds.maxLon = Math.max(bounds.maxLon, lon);
+                bounds.maxLat = Math.max(bounds.maxLat, lat);
+            }
+        }
+        return bounds;
+    }
+
+    // Ray casting sobre un anillo [[lon, lat], ...]
+    static isPointInRing(lon, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lonI, latI] = ring[i];
+            const [lonJ, latJ] = ring[j];
+            if ((latI > lat) !== (latJ > lat) &&
+                lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // El primer anillo de cada polígono es el exterior y los siguientes son huecos
+    static isPointInGeometry(lon, lat, geometry) {
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        return polygons.some(([outer, ...holes]) =>
+            this.isPointInRing(lon, lat, outer) &&
+            !holes.some(hole => this.isPointInRing(lon, lat, hole))
+        );
+    }
+
+    // Expresión de agregación con la distancia en km (haversine) desde el punto dado; null sin coordenadas
+    static buildDistanceExpression(lat, lon) {
+        const toRadians = value => ({ $degreesToRadians: value });
+        const halfDeltaLat = { $divide: [{ $subtract: [toRadians('$latitude'), toRadians(lat)] }, 2] };
+        const halfDeltaLon = { $divide: [{ $subtract: [toRadians('$longitude'), toRadians(lon)] }, 2] };
+        const a = {
+            $add: [
+                { $pow: [{ $sin: halfDeltaLat }, 2] },
+                {
+                    $multiply: [
+                        { $cos: toRadians(lat) },
+                        { $cos: toRadians('$latitude') },
+                        { $pow: [{ $sin: halfDeltaLon }, 2] }
+                    ]
+                }
+            ]
+        };
+
+        return {
+            $cond: [
+                { $and: [{ $isNumber: '$latitude' }, { $isNumber: '$longitude' }] },
+                { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: a } }] },
+                null
+            ]
+        };
     }
 }
 
@@ -0,0 +1,165 @@
+const DateUtils = require('./dateUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const FIELD_RANGES = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            minute: 'numeric',
+            hour: 'numeric',
+            day: 'numeric',
+            month: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+class CronUtils {
+    // Expresiones de 5 campos: minuto hora día-mes mes día-semana (*, listas, rangos y pasos)
+    static parse(expression) {
+        if (typeof expression !== 'string') {
+            throw new Error('Cron expression must be a string');
+        }
+        const fields = expression.trim().split(/\s+/);
+        if (fields.length !== FIELD_RANGES.length) {
+            throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+        }
+
+        const parsed = {};
+        fields.forEach((field, index) => {
+            const range = FIELD_RANGES[index];
+            parsed[range.name] = this.parseField(field, range, expression);
+            parsed[`${range.name}Restricted`] = field !== '*';
+        });
+
+        // 7 también es domingo
+        if (parsed.dayOfWeek.has(7)) {
+            parsed.dayOfWeek.add(0);
+        }
+        return parsed;
+    }
+
+    static parseField(field, { min, max }, expression) {
+        const values = new Set();
+        for (const part of field.split(',')) {
+            const [rangePart, stepPart] = part.split('/');
+            const step = stepPart === undefined ? 1 : Number(stepPart);
+            let start;
+            let end;
+
+            if (rangePart === '*') {
+                start = min;
+                end = max;
+            } else if (rangePart.includes('-')) {
+                [start, end] = rangePart.split('-').map(Number);
+            } else {
+                start = Number(rangePart);
+                end = stepPart === undefined ? start : max;
+            }
+
+            const isValid = Number.isInteger(start) && Number.isInteger(end) && Number.isInteger(step) &&
+                step > 0 && start >= min && end <= max && start <= end;
+            if (!isValid) {
+                throw new Error(`Invalid cron expression "${expression}": bad field "${field}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    }
+
+    static getZonedParts(date, timeZone) {
+        const parts = {};
+        for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+            parts[type] = value;
+        }
+        return {
+            minute: Number(parts.minute),
+            hour: Number(parts.hour),
+            dayOfMonth: Number(parts.day),
+            month: Number(parts.month),
+            dayOfWeek: WEEKDAY_INDEX[parts.weekday]
+        };
+    }
+
+    static matches(parsed, date, timeZone) {
+        const parts = this.getZonedParts(date, timeZone);
+        return parsed.minute.has(parts.minute) && parsed.hour.has(parts.hour) && this.matchesDay(parsed, parts);
+    }
+
+    static matchesDay(parsed, parts) {
+        if (!parsed.month.has(parts.month)) {
+            return false;
+        }
+
+        // Como en cron: si se restringen día del mes y de la semana basta con que coincida uno
+        const dayOfMonthMatch = parsed.dayOfMonth.has(parts.dayOfMonth);
+        const dayOfWeekMatch = parsed.dayOfWeek.has(parts.dayOfWeek);
+        if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+            return dayOfMonthMatch || dayOfWeekMatch;
+        }
+        return dayOfMonthMatch && dayOfWeekMatch;
+    }
+
+    /**
+     * Próxima ejecución dentro del horizonte indicado: recorre los días locales que encajan y,
+     * en cada uno, sus horas y minutos. Las horas que no existen por el cambio de hora no se cumplen
+     */
+    static getNextRun(parsed, timeZone, from = new Date(), horizonDays = 31) {
+        const start = new Date(from);
+        start.setUTCSeconds(0, 0);
+        start.setUTCMinutes(start.getUTCMinutes() + 1);
+
+        const limit = from.getTime() + horizonDays * 24 * 60 * 60 * 1000;
+        const hours = [...parsed.hour].sort((a, b) => a - b);
+        const minutes = [...parsed.minute].sort((a, b) => a - b);
+        const firstDay = DateUtils.toLocalDate(start, timeZone);
+        const firstHour = this.getZonedParts(start, timeZone).hour;
+        const lastDay = DateUtils.toLocalDate(new Date(limit), timeZone);
+
+        for (let day = firstDay; day <= lastDay; day = DateUtils.addDays(day, 1)) {
+            const [year, month, dayOfMonth] = day.split('-').map(Number);
+            const dayOfWeek = new Date(Date.UTC(year, month - 1, dayOfMonth)).getUTCDay();
+            if (!this.matchesDay(parsed, { month, dayOfMonth, dayOfWeek })) {
+                continue;
+            }
+            for (const hour of hours) {
+                if (day === firstDay && hour < firstHour) {
+                    continue;
+                }
+                const instants = minutes.map(minute =>
+                    DateUtils.toInstant(day, `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, timeZone));
+                // Al atrasar la hora, la misma hora local se repite: primero va la de una hora antes
+                const candidates = [...instants.map(instant => new Date(instant.getTime() - HOUR_MS)), ...instants];
+                for (const candidate of candidates) {
+                    if (candidate.getTime() > limit) {
+                        return null;
+                    }
+                    if (candidate >= start && this.matches(parsed, candidate, timeZone)) {
+                        return candidate;
+                    }
+                }
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = CronUtils;
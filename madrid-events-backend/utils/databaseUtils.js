@@ -1,27 +1,64 @@
 const logger = require('../config/logger');
-const { EventDomainService } = require('../domain');
+const constants = require('../config/constants');
+const { EventDomainService, EventDeduplicationService } = require('../domain');
+const SearchUtils = require('./searchUtils');
+const DateUtils = require('./dateUtils');
+
+const BULK_WRITE_BATCH_SIZE = 500;
 
 class DatabaseUtils {
-    static async deletePastEvents(database, collectionName) {
+    // Marca como archivados los eventos terminados; siguen disponibles con includePast
+    static async archivePastEvents(database, collectionName) {
         try {
             const collection = database.collection(collectionName);
-            const currentDate = new Date().toISOString();
+            const now = new Date();
+
+            const result = await collection.updateMany({
+                dtend: {
+                    $lt: now.toISOString()
+                },
+                archived: { $ne: true }
+            }, {
+                $set: {
+                    archived: true,
+                    archivedAt: now
+                }
+            });
+
+            logger.info(`Archived past events`, {
+                count: result.modifiedCount
+            });
+        } catch (error) {
+            logger.error('Error archiving past events:', error.message);
+        }
+    }
+
+    // Elimina los eventos archivados que terminaron antes del día de Madrid de hace retentionDays (0 = conservar siempre)
+    static async purgeArchivedEvents(database, collectionName, retentionDays) {
+        if (!retentionDays || retentionDays <= 0) {
+            return;
+        }
+        try {
+            const collection = database.collection(collectionName);
+            const cutoff = DateUtils.getLocalDayStart(DateUtils.addDays(DateUtils.toLocalDate(new Date()), -retentionDays));
 
             const result = await collection.deleteMany({
+                archived: true,
                 dtend: {
-                    $lt: currentDate
+                    $lt: cutoff.toISOString()
                 }
             });
 
-            logger.info(`Deleted past events`, {
-                count: result.deletedCount
+            logger.info(`Purged archived events past retention`, {
+                count: result.deletedCount,
+                retentionDays
             });
         } catch (error) {
-            logger.error('Error deleting past events:', error.message);
+            logger.error('Error purging archived events:', error.message);
         }
     }
 
-    static async getExistingEventData(collection, eventId, constants) {
+    static async getExistingEventData(collection, eventId) {
         try {
             const existingEvent = await collection.findOne({ id: eventId });
 
@@ -34,15 +71,14 @@ class DatabaseUtils {
                         direccion: '',
                         ciudad: ''
                     },
+                    transit: [],
                     nearestSubway: null,
-                    imageUrl: null,
-                    subwayLines: []
+                    imageUrl: null
                 };
             }
 
             logger.debug(`Found existing data for event ${eventId}`);
             const event = EventDomainService.fromJSON(existingEvent);
-            const imageUrl = event.image === constants.IMAGE_NOT_FOUND ? null : event.image;
 
             return {
                 locationDetails: {
@@ -51,9 +87,9 @@ class DatabaseUtils {
                     direccion: event.streetAddress || '',
                     ciudad: event.locality || ''
                 },
-                nearestSubway: event.subway || null,
-                imageUrl: event.image || null,
-                subwayLines: event.subwayLines || []
+                transit: event.transit,
+                nearestSubway: event.subway ? { name: event.subway, lines: event.subwayLines || [] } : null,
+                imageUrl: event.image || null
             };
         } catch (error) {
             logger.error(`Error getting existing data for event ${eventId}:`, {
@@ -64,58 +100,258 @@ class DatabaseUtils {
         }
     }
 
-    static async recalculateDistances(database, collectionName, baseLat, baseLon) {
+    // Hash del último registro ingerido de una fuente, guardado en el evento (o en el canónico que lo agrupa)
+    static async getStoredSourceHash(collection, sourceId) {
+        const doc = await collection.findOne(
+            { $or: [{ id: sourceId }, { sourceIds: sourceId }] },
+            { projection: { sourceHashes: 1 } }
+        );
+        return doc?.sourceHashes?.[sourceId] || null;
+    }
+
+    // Busca el evento canónico con el que debe fusionarse un evento entrante
+    static async findCanonicalEvent(collection, event) {
+        const linked = await collection.find({
+            $or: [{ id: event.id }, { sourceIds: event.id }]
+        }).toArray();
+
+        const mergedInto = linked.find(doc => doc.id !== event.id);
+        if (mergedInto) {
+            return mergedInto;
+        }
+
+        const own = linked.find(doc => doc.id === event.id);
+        if (own && Array.isArray(own.sourceIds) && own.sourceIds.length > 1) {
+            return own;
+        }
+
+        if (!event.fingerprint) {
+            return null;
+        }
+
+        const candidates = await collection.find({
+            fingerprint: event.fingerprint,
+            id: { $ne: event.id }
+        }).sort({ _id: 1 }).toArray();
+
+        return candidates.find(candidate =>
+            EventDeduplicationService.isDuplicate(event, EventDomainService.fromJSON(candidate))
+        ) || null;
+    }
+
+    // Rellena el punto GeoJSON de los eventos guardados antes de existir el campo location
+    static async backfillGeoLocations(database, collectionName) {
         try {
-            const collection = database.collection(collectionName);
-            const cursor = collection.find({});
-            const bulkOps = [];
-            let processed = 0;
-            let updated = 0;
-
-            for await (const doc of cursor) {
-                const latValue = doc.latitude ?? doc.location?.latitude ?? null;
-                const lonValue = doc.longitude ?? doc.location?.longitude ?? null;
-                const lat = typeof latValue === 'number' ? latValue : Number(latValue);
-                const lon = typeof lonValue === 'number' ? lonValue : Number(lonValue);
-                const event = { latitude: lat, longitude: lon };
-                const newDistance = EventDomainService.hasValidCoordinates(event)
-                    ? EventDomainService.calculateDistance(event, baseLat, baseLon)
-                    : null;
-
-                if (doc.distance !== newDistance) {
-                    bulkOps.push({
-                        updateOne: {
-                            filter: { _id: doc._id },
-                            update: { $set: { distance: newDistance } }
+            const result = await database.collection(collectionName).updateMany(
+                {
+                    location: { $exists: false },
+                    latitude: { $type: 'number', $gte: -90, $lte: 90 },
+                    longitude: { $type: 'number', $gte: -180, $lte: 180 }
+                },
+                [{
+                    $set: {
+                        location: {
+                            type: 'Point',
+                            coordinates: ['$longitude', '$latitude']
                         }
-                    });
-                    updated += 1;
-                }
+                    }
+                }]
+            );
+            if (result.modifiedCount > 0) {
+                logger.info('Backfilled GeoJSON locations on events', {
+                    count: result.modifiedCount
+                });
+            }
+        } catch (error) {
+            logger.error('Error backfilling event locations:', error.message);
+        }
+    }
 
-                if (bulkOps.length >= 500) {
-                    await collection.bulkWrite(bulkOps, { ordered: false });
-                    bulkOps.length = 0;
-                }
+    /**
+     * Recalcula datos derivados de las coordenadas (distrito, barrio, metro) de los eventos guardados.
+     * resolve(doc) devuelve los campos a fijar; solo se escriben los que cambian.
+     */
+    static async reassignLocationData(database, collectionName, resolve) {
+        try {
+            const count = await this.reassignFields(database.collection(collectionName), {
+                latitude: { $type: 'number' },
+                longitude: { $type: 'number' }
+            }, resolve);
+            if (count > 0) {
+                logger.info('Reassigned location data on events', { count });
+            }
+        } catch (error) {
+            logger.error('Error reassigning event location data:', error.message);
+        }
+    }
 
-                processed += 1;
+    /**
+     * Recalcula las categorías de los eventos guardados. Los guardados antes de la taxonomía no
+     * tienen sourceCategories: en los de esmadrid las categorías estaban mezcladas en audience.
+     */
+    static async reassignCategories(database, collectionName) {
+        try {
+            const count = await this.reassignFields(database.collection(collectionName), {}, doc => {
+                const isLegacy = !Array.isArray(doc.sourceCategories);
+                const isXmlOnly = (doc.sourceIds || [doc.id]).every(id => String(id).startsWith('xml-'));
+                const audience = Array.isArray(doc.audience) ? doc.audience : [];
+                const legacyFields = isLegacy && isXmlOnly
+                    ? {
+                        sourceCategories: audience.filter(value => value && value !== 'children'),
+                        audience: audience.includes('children') ? ['children'] : []
+                    }
+                    : { sourceCategories: isLegacy ? [] : doc.sourceCategories };
+
+                const event = EventDomainService.fromJSON({ ...doc, ...legacyFields });
+                return {
+                    categories: event.categories,
+                    sourceCategories: event.sourceCategories,
+                    audience: event.audience
+                };
+            });
+            if (count > 0) {
+                logger.info('Reassigned categories on events', { count });
             }
+        } catch (error) {
+            logger.error('Error reassigning event categories:', error.message);
+        }
+    }
 
-            if (bulkOps.length > 0) {
-                await collection.bulkWrite(bulkOps, { ordered: false });
+    // Recalcula el horario estructurado de los eventos a partir de time, excluded-days y recurrence
+    static async reassignSchedules(database, collectionName) {
+        try {
+            const count = await this.reassignFields(database.collection(collectionName), {}, doc => ({
+                schedule: EventDomainService.fromJSON(doc).schedule
+            }));
+            if (count > 0) {
+                logger.info('Reassigned schedules on events', { count });
             }
+        } catch (error) {
+            logger.error('Error reassigning event schedules:', error.message);
+        }
+    }
 
-            logger.info('Recalculated distances', {
-                processed,
-                updated,
-                baseLat,
-                baseLon
+    // Recalcula el precio estructurado (y free) de los eventos a partir del texto de price
+    static async reassignPricing(database, collectionName) {
+        try {
+            const count = await this.reassignFields(database.collection(collectionName), {}, doc => {
+                const event = EventDomainService.fromJSON(doc);
+                return { pricing: event.pricing, free: event.free };
             });
+            if (count > 0) {
+                logger.info('Reassigned pricing on events', { count });
+            }
         } catch (error) {
-            logger.error('Error recalculating distances:', {
-                error: error.message,
-                stack: error.stack
+            logger.error('Error reassigning event pricing:', error.message);
+        }
+    }
+
+    /**
+     * Los eventos guardados antes de localDates tienen la hora de Madrid guardada como si fuera UTC
+     * (las fechas de esmadrid a las 00:00Z, las de datos.madrid.es según la zona del servidor):
+     * se reinterpreta como hora local y se recalculan dtstart, dtend y localDates.
+     */
+    static async reassignLocalDates(database, collectionName) {
+        try {
+            const toLocalDateTime = value => (typeof value === 'string' ? value.replace(/(\.\d+)?Z$/, '') : value);
+            const count = await this.reassignFields(database.collection(collectionName), {
+                localDates: { $exists: false }
+            }, doc => {
+                const event = EventDomainService.fromJSON({
+                    ...doc,
+                    dtstart: toLocalDateTime(doc.dtstart),
+                    dtend: toLocalDateTime(doc.dtend)
+                }).toJSON();
+                return {
+                    dtstart: event.dtstart,
+                    dtend: event.dtend,
+                    localDates: event.localDates
+                };
             });
-            throw error;
+            if (count > 0) {
+                logger.info('Reassigned local dates on events', { count });
+            }
+        } catch (error) {
+            logger.error('Error reassigning event local dates:', error.message);
+        }
+    }
+
+    /**
+     * Fija en los documentos que cumplen filter los campos de resolve(doc) que cambian; devuelve cuántos.
+     * Las escrituras se envían en lotes de BULK_WRITE_BATCH_SIZE para no acumular toda la colección en memoria
+     */
+    static async reassignFields(collection, filter, resolve) {
+        let operations = [];
+        let count = 0;
+        for await (const doc of collection.find(filter)) {
+            const fields = resolve(doc) || {};
+            const changed = Object.fromEntries(Object.entries(fields)
+                .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(doc[key])));
+            if (Object.keys(changed).length > 0) {
+                operations.push({
+                    updateOne: {
+                        filter: { _id: doc._id },
+                        update: { $set: changed }
+                    }
+                });
+            }
+            if (operations.length >= BULK_WRITE_BATCH_SIZE) {
+                await collection.bulkWrite(operations, { ordered: false });
+                count += operations.length;
+                operations = [];
+            }
+        }
+
+        if (operations.length > 0) {
+            await collection.bulkWrite(operations, { ordered: false });
+            count += operations.length;
+        }
+        return count;
+    }
+
+    // Recalcula los campos de búsqueda de los eventos que no los tienen o que han cambiado
+    static async refreshSearchFields(database, collectionName) {
+        try {
+            const count = await this.reassignFields(database.collection(collectionName), {}, doc => ({
+                search: SearchUtils.buildSearchFields(doc)
+            }));
+            if (count > 0) {
+                logger.info('Refreshed search fields on events', { count });
+            }
+        } catch (error) {
+            logger.error('Error refreshing event search fields:', error.message);
+        }
+    }
+
+    // Trabajos de una cola de enriquecimiento que ya no existe
+    static async removeQueueJobs(database, queueName) {
+        try {
+            const result = await database.collection(constants.JOBS_COLLECTION_NAME).deleteMany({ queue: queueName });
+            if (result.deletedCount > 0) {
+                logger.info('Removed jobs of retired queue', {
+                    queue: queueName,
+                    count: result.deletedCount
+                });
+            }
+        } catch (error) {
+            logger.error('Error removing queue jobs:', error.message);
+        }
+    }
+
+    // La distancia se calcula por petición; elimina la que guardaban versiones anteriores
+    static async removeStoredDistances(database, collectionName) {
+        try {
+            const result = await database.collection(collectionName).updateMany(
+                { distance: { $exists: true } },
+                { $unset: { distance: '' } }
+            );
+            if (result.modifiedCount > 0) {
+                logger.info('Removed stored distances from events', {
+                    count: result.modifiedCount
+                });
+            }
+        } catch (error) {
+            logger.error('Error removing stored distances:', error.message);
         }
     }
 }
@@ -0,0 +1,168 @@
+const constants = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+// Fechas sin zona horaria de las fuentes: "2024-10-19", "2024-10-19 19:00:00.0", "2024-10-19T19:00"
+const NAIVE_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+
+// Rangos con nombre: primer y último día a partir de hoy. Los días de la semana van de lunes (0) a domingo (6)
+const NAMED_RANGES = {
+    today: () => [0, 0],
+    tomorrow: () => [1, 1],
+    weekend: weekday => (weekday === 6 ? [0, 0] : [Math.max(5 - weekday, 0), 6 - weekday]),
+    thisWeek: weekday => [-weekday, 6 - weekday],
+    thisMonth: (weekday, day, daysInMonth) => [1 - day, daysInMonth - day]
+};
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Fechas locales ("2024-10-19") como medianoche UTC, para operar con días sin husos
+function parseLocalDate(localDate) {
+    const match = LOCAL_DATE_PATTERN.exec(localDate || '');
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().slice(0, 10) === localDate ? date : null;
+}
+
+// Fechas del calendario local (Europe/Madrid por defecto) como "YYYY-MM-DD"
+class DateUtils {
+    static isLocalDate(value) {
+        return parseLocalDate(value) !== null;
+    }
+
+    static getZonedParts(date, timeZone = constants.TIMEZONE) {
+        const parts = {};
+        for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+            parts[type] = Number(value);
+        }
+        return parts;
+    }
+
+    // Día del calendario local de un instante; null si no es una fecha válida
+    static toLocalDate(value, timeZone = constants.TIMEZONE) {
+        const date = value instanceof Date ? value : new Date(value || '');
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+        const { year, month, day } = this.getZonedParts(date, timeZone);
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    static addDays(localDate, days) {
+        const date = parseLocalDate(localDate);
+        return date ? new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10) : null;
+    }
+
+    static diffDays(fromLocalDate, toLocalDate) {
+        return Math.round((parseLocalDate(toLocalDate) - parseLocalDate(fromLocalDate)) / DAY_MS);
+    }
+
+    static getWeekday(localDate) {
+        const date = parseLocalDate(localDate);
+        return date ? WEEKDAYS[date.getUTCDay()] : null;
+    }
+
+    static getNamedRangeIds() {
+        return Object.keys(NAMED_RANGES);
+    }
+
+    // Primer y último día local de un rango con nombre (today, weekend...); null si no existe
+    static getNamedRange(name, now = new Date(), timeZone = constants.TIMEZONE) {
+        if (!Object.prototype.hasOwnProperty.call(NAMED_RANGES, name)) {
+            return null;
+        }
+        const today = this.toLocalDate(now, timeZone);
+        const weekday = (parseLocalDate(today).getUTCDay() + 6) % 7;
+        const [year, month, day] = today.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const [fromOffset, toOffset] = NAMED_RANGES[name](weekday, day, daysInMonth);
+        return { from: this.addDays(today, fromOffset), to: this.addDays(today, toOffset) };
+    }
+
+    // Instante de un día y una hora locales ("2024-10-19", "19:30"), teniendo en cuenta el cambio de hora
+    static toInstant(localDate, localTime = '00:00', timeZone = constants.TIMEZONE) {
+        const date = parseLocalDate(localDate);
+        const time = LOCAL_TIME_PATTERN.exec(localTime);
+        if (!date || !time) {
+            return null;
+        }
+        const wallClock = date.getTime() + ((Number(time[1]) * 60 + Number(time[2])) * 60 + Number(time[3] || 0)) * 1000;
+        let instant = wallClock;
+        for (let i = 0; i < 2; i++) {
+            const parts = this.getZonedParts(new Date(instant), timeZone);
+            const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+            instant = wallClock - offset;
+        }
+        return new Date(instant);
+    }
+
+    static getLocalDayStart(localDate, timeZone = constants.TIMEZONE) {
+        return this.toInstant(localDate, '00:00', timeZone);
+    }
+
+    // Último milisegundo del día local
+    static getLocalDayEnd(localDate, timeZone = constants.TIMEZONE) {
+        const nextDay = this.getLocalDayStart(this.addDays(localDate, 1), timeZone);
+        return nextDay ? new Date(nextDay.getTime() - 1) : null;
+    }
+
+    // Hora local de un instante como "HH:MM"
+    static toLocalTime(value, timeZone = constants.TIMEZONE) {
+        const date = value instanceof Date ? value : new Date(value || '');
+        if (Number.isNaN(date.getTime())) {
+            return null;
+        }
+        const { hour, minute } = this.getZonedParts(date, timeZone);
+        return `${pad(hour)}:${pad(minute)}`;
+    }
+
+    /**
+     * Instante de una fecha de las fuentes o de la base de datos. Las que no indican zona horaria
+     * son hora local; con endOfDay, las que solo traen el día (o medianoche) acaban al final de ese día.
+     */
+    static parseDateTime(value, { endOfDay = false, timeZone = constants.TIMEZONE } = {}) {
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+
+        const match = NAIVE_DATE_TIME_PATTERN.exec(value.trim());
+        if (match) {
+            const [, date, hour = '00', minute = '00', second = '00'] = match;
+            if (endOfDay && hour === '00' && minute === '00' && second === '00') {
+                return this.getLocalDayEnd(date, timeZone);
+            }
+            return this.toInstant(date, `${hour}:${minute}:${second}`, timeZone);
+        }
+        const parsed = new Date(value);
+        return Number.isNaN(parsed.getTime()) ? null : parsed;
+    }
+}
+
+module.exports = DateUtils;
@@ -0,0 +1,179 @@
+const ValidationUtils = require('./validationUtils');
+const CoordinateUtils = require('./coordinatesUtils');
+const FacetUtils = require('./facetUtils');
+const DateUtils = require('./dateUtils');
+
+const MAX_RADIUS_KM = 100;
+
+// Construcción de las consultas de eventos compartidas por las rutas de listado, mapa y metro
+class EventQueryUtils {
+    // Filtros geográficos sobre location: radio (km) desde el origen, bbox del mapa y polígono
+    static buildGeoConditions({ radius, bbox, polygon }, origin) {
+        const conditions = [];
+
+        if (typeof radius !== 'undefined') {
+            const radiusKm = Number(radius);
+            if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+                return { error: `radius must be a number of kilometres between 0 and ${MAX_RADIUS_KM}` };
+            }
+            conditions.push({ location: CoordinateUtils.buildRadiusFilter(origin.lat, origin.lon, radiusKm) });
+        }
+
+        if (typeof bbox !== 'undefined') {
+            const box = CoordinateUtils.parseBoundingBox(bbox);
+            if (!box) {
+                return { error: 'bbox must be minLon,minLat,maxLon,maxLat' };
+            }
+            conditions.push({ location: CoordinateUtils.buildPolygonFilter(CoordinateUtils.boundingBoxToPolygon(box)) });
+        }
+
+        if (typeof polygon !== 'undefined') {
+            const ring = CoordinateUtils.parsePolygon(polygon);
+            if (!ring) {
+                return { error: 'polygon must be at least three lon,lat points separated by ";"' };
+            }
+            conditions.push({ location: CoordinateUtils.buildPolygonFilter(ring) });
+        }
+
+        return { conditions };
+    }
+
+    // Instantes de inicio y fin de un intervalo de días locales
+    static getDayBounds(fromDate, toDate) {
+        return [DateUtils.getLocalDayStart(fromDate), DateUtils.getLocalDayEnd(toDate)];
+    }
+
+    /**
+     * Eventos con alguna sesión entre dos instantes (puede faltar uno): los que se solapan con el
+     * intervalo entre dtstart y dtend y, en intervalos de menos de una semana, abren alguno de
+     * esos días de la semana según su horario y no los tienen todos excluidos.
+     */
+    static buildSessionConditions(start, end) {
+        const conditions = [];
+        if (end) {
+            conditions.push({
+                $or: [{ dtstart: { $lte: end.toISOString() } }, { dtstart: { $in: [null, ''] } }]
+            });
+        }
+        if (start) {
+            const startIso = start.toISOString();
+            conditions.push({
+                $or: [
+                    { dtend: { $gte: startIso } },
+                    { dtend: { $in: [null, ''] }, dtstart: { $gte: startIso } },
+                    { dtend: { $in: [null, ''] }, dtstart: { $in: [null, ''] } }
+                ]
+            });
+        }
+
+        const days = [];
+        if (start && end) {
+            const lastDay = DateUtils.toLocalDate(end);
+            for (let day = DateUtils.toLocalDate(start); day <= lastDay && days.length < 7; day = DateUtils.addDays(day, 1)) {
+                days.push(day);
+            }
+        }
+        if (days.length > 0 && days.length < 7) {
+            conditions.push({
+                $or: [
+                    { 'schedule.weekdays': { $in: [...new Set(days.map(day => DateUtils.getWeekday(day)))] } },
+                    { 'schedule.weekdays': { $exists: false } }
+                ]
+            });
+            conditions.push({ 'schedule.excludedDates': { $not: { $all: days } } });
+        }
+        return conditions;
+    }
+
+    /**
+     * Filtros comunes del listado y del mapa: facetas (distrito, barrio...), sede, organizador,
+     * estación de metro, fechas (startDate y endDate, date o un rango con nombre; todas por
+     * sesiones dentro del intervalo), gratis, precio máximo, infantil y eventos pasados.
+     * facetConditions son las condiciones de las facetas, también incluidas en conditions, y
+     * facetSelections los valores elegidos de cada una.
+     */
+    static buildFilterQuery(params) {
+        const {
+            venue, organization, station, startDate, endDate, date, range, free, maxPrice, children, includePast
+        } = params;
+        const includePastEvents = ValidationUtils.parseBoolean(includePast, false);
+        const query = {};
+        if (venue) query['event-location'] = venue;
+        if (organization) query['organization-name'] = organization;
+
+        // Sin zona horaria son hora de Madrid; un endDate sin hora incluye todo ese día
+        const parsedStart = DateUtils.parseDateTime(startDate);
+        const parsedEnd = DateUtils.parseDateTime(endDate, { endOfDay: true });
+
+        if (parsedStart && parsedEnd && parsedStart > parsedEnd) {
+            return { error: 'startDate must be earlier than endDate' };
+        }
+        if (typeof date !== 'undefined' && !DateUtils.isLocalDate(date)) {
+            return { error: 'date must be a day in YYYY-MM-DD format' };
+        }
+        const namedRange = typeof range !== 'undefined' ? DateUtils.getNamedRange(range) : null;
+        if (typeof range !== 'undefined' && !namedRange) {
+            return { error: `range must be one of ${DateUtils.getNamedRangeIds().join(', ')}` };
+        }
+
+        if (ValidationUtils.parseBoolean(free, false)) {
+            query.free = true;
+        }
+
+        const parsedMaxPrice = typeof maxPrice !== 'undefined' ? parseFloat(maxPrice) : null;
+        if (parsedMaxPrice !== null && !(Number.isFinite(parsedMaxPrice) && parsedMaxPrice >= 0)) {
+            return { error: 'maxPrice must be a number of euros greater than or equal to 0' };
+        }
+
+        if (ValidationUtils.parseBoolean(children, false)) {
+            query.audience = { $in: ['children'] };
+        }
+
+        const facetSelections = FacetUtils.parseSelections(params);
+        const facetConditions = FacetUtils.buildConditions(facetSelections);
+        const conditions = [...Object.values(facetConditions)];
+        // Los eventos guardados antes de transit solo tienen subway
+        if (station) {
+            conditions.push({
+                $or: [
+                    { transit: { $elemMatch: { mode: 'metro', name: station } } },
+                    { subway: station }
+                ]
+            });
+        }
+
+        // Los eventos sin importe conocido no cumplen un precio máximo
+        if (parsedMaxPrice !== null) {
+            conditions.push({
+                $or: [{ free: true }, { 'pricing.min': { $type: 'number', $lte: parsedMaxPrice } }]
+            });
+        }
+        if (parsedStart || parsedEnd) {
+            conditions.push(...this.buildSessionConditions(parsedStart, parsedEnd));
+        }
+        if (typeof date !== 'undefined') {
+            conditions.push(...this.buildSessionConditions(...this.getDayBounds(date, date)));
+        }
+        if (namedRange) {
+            conditions.push(...this.buildSessionConditions(...this.getDayBounds(namedRange.from, namedRange.to)));
+        }
+        if (!includePastEvents) {
+            const nowIso = new Date().toISOString();
+            conditions.push({
+                $or: [
+                    { dtend: { $gte: nowIso } },
+                    { dtend: { $exists: false } },
+                    { dtend: null },
+                    { dtend: '' },
+                    { dtstart: { $exists: false } },
+                    { dtstart: null },
+                    { dtstart: '' }
+                ]
+            });
+        }
+
+        return { query, conditions, facetConditions, facetSelections };
+    }
+}
+
+module.exports = EventQueryUtils;
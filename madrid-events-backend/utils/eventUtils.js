@@ -1,22 +1,20 @@
 const logger = require('../config/logger');
+const DateUtils = require('./dateUtils');
 
 class EventUtils {
+    // Eventos que no han terminado y empiezan como tarde dentro de days días (en el calendario de Madrid)
     static isEventWithinValidDateRange(event, days = 30) {
         const currentDate = new Date();
-        const eventStart = new Date(event.dtstart);
-        const eventEnd = new Date(event.dtend);
-        const maxDate = new Date();
-        maxDate.setDate(maxDate.getDate() + days);
-
-        const hasValidStart = !Number.isNaN(eventStart.getTime());
-        const hasValidEnd = !Number.isNaN(eventEnd.getTime());
-        if (!hasValidStart || !hasValidEnd) {
+        const eventStart = DateUtils.parseDateTime(event.dtstart);
+        const eventEnd = DateUtils.parseDateTime(event.dtend, { endOfDay: true });
+        if (!eventStart || !eventEnd) {
             return true;
         }
+        const maxDate = DateUtils.getLocalDayEnd(DateUtils.addDays(DateUtils.toLocalDate(currentDate), days));
         const isNotPastEvent = eventEnd >= currentDate;
         const isWithinFutureLimit = eventStart <= maxDate;
 
-        if (hasValidEnd && !isNotPastEvent) {
+        if (!isNotPastEvent) {
             logger.debug(`Event ${event.id} has already ended`, {
                 title: event.title,
                 endDate: event.dtend,
@@ -24,7 +22,7 @@ class EventUtils {
             });
         }
 
-        if (hasValidStart && !isWithinFutureLimit) {
+        if (!isWithinFutureLimit) {
             logger.debug(`Event ${event.id} starts more than ${days} days in the future`, {
                 title: event.title,
                 startDate: event.dtstart,
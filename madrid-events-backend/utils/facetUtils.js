@@ -0,0 +1,192 @@
+const ValidationUtils = require('./validationUtils');
+const SubwayUtils = require('./subwayUtils');
+const { EventCategoryService, EventScheduleService } = require('../domain');
+
+const MAX_BUCKETS = 50;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Tramos de precio por el importe mínimo del precio estructurado
+const PRICE_BANDS = [
+    { id: 'under10', max: 10 },
+    { id: '10to25', max: 25 },
+    { id: 'over25', max: Infinity }
+];
+
+const PRICE_BAND_EXPRESSION = {
+    $switch: {
+        branches: [
+            { case: { $eq: ['$free', true] }, then: 'free' },
+            { case: { $eq: [{ $ifNull: ['$pricing.min', null] }, null] }, then: 'unknown' },
+            ...PRICE_BANDS
+                .filter(band => Number.isFinite(band.max))
+                .map(band => ({ case: { $lte: ['$pricing.min', band.max] }, then: band.id }))
+        ],
+        default: PRICE_BANDS[PRICE_BANDS.length - 1].id
+    }
+};
+
+// Filtro de cada tramo sobre los campos, para que pueda usar índices
+function buildPriceBandCondition(band) {
+    if (band === 'free') {
+        return { free: true };
+    }
+    if (band === 'unknown') {
+        return { free: { $ne: true }, 'pricing.min': null };
+    }
+    const index = PRICE_BANDS.findIndex(({ id }) => id === band);
+    const min = {
+        ...(index > 0 ? { $gt: PRICE_BANDS[index - 1].max } : {}),
+        ...(Number.isFinite(PRICE_BANDS[index].max) ? { $lte: PRICE_BANDS[index].max } : {})
+    };
+    return { free: { $ne: true }, 'pricing.min': { $type: 'number', ...min } };
+}
+
+// Líneas de metro de las estaciones cercanas; los eventos anteriores a transit solo tienen subwayLines
+const METRO_LINES_EXPRESSION = {
+    $setUnion: [
+        { $ifNull: ['$subwayLines.number', []] },
+        {
+            $reduce: {
+                input: {
+                    $filter: {
+                        input: { $ifNull: ['$transit', []] },
+                        cond: { $eq: ['$$this.mode', 'metro'] }
+                    }
+                },
+                initialValue: [],
+                in: { $setUnion: ['$$value', { $ifNull: ['$$this.lines.number', []] }] }
+            }
+        }
+    ]
+};
+
+/**
+ * Facetas del listado. param es el parámetro de la petición (varios valores repitiéndolo o,
+ * si separator, separados por comas), value la expresión con los valores de cada evento
+ * y buildCondition el filtro para los valores elegidos (recibe también los de las demás facetas).
+ */
+const FACETS = [
+    {
+        id: 'distrito',
+        param: 'distrito_nombre',
+        value: '$distrito',
+        buildCondition: values => ({ distrito: { $in: values } })
+    },
+    {
+        id: 'barrio',
+        param: 'barrio_nombre',
+        value: '$barrio',
+        buildCondition: values => ({ barrio: { $in: values } })
+    },
+    {
+        id: 'category',
+        param: 'category',
+        separator: ',',
+        value: '$categories',
+        parse: value => (EventCategoryService.getCategoryIds().includes(value) ? value : null),
+        buildCondition: values => ({ categories: { $in: values } })
+    },
+    {
+        id: 'priceBand',
+        param: 'priceBand',
+        separator: ',',
+        value: PRICE_BAND_EXPRESSION,
+        parse: value => (['free', 'unknown', ...PRICE_BANDS.map(band => band.id)].includes(value) ? value : null),
+        buildCondition: values => ({ $or: values.map(buildPriceBandCondition) })
+    },
+    {
+        id: 'audience',
+        param: 'audience',
+        value: '$audience',
+        buildCondition: values => ({ audience: { $in: values } })
+    },
+    {
+        id: 'line',
+        param: 'line',
+        separator: ',',
+        value: METRO_LINES_EXPRESSION,
+        parse: value => SubwayUtils.parseLineNumber(value),
+        buildCondition: values => ({
+            $or: [
+                { transit: { $elemMatch: { mode: 'metro', 'lines.number': { $in: values } } } },
+                { 'subwayLines.number': { $in: values } }
+            ]
+        })
+    },
+    {
+        id: 'weekday',
+        param: 'weekday',
+        separator: ',',
+        value: '$schedule.weekdays',
+        parse: value => (WEEKDAYS.includes(value.toLowerCase()) ? value.toLowerCase() : null),
+        buildCondition: values => ({ 'schedule.weekdays': { $in: values } })
+    },
+    {
+        // Con días elegidos, la franja tiene que ser la de una sesión de alguno de esos días
+        id: 'timeOfDay',
+        param: 'timeOfDay',
+        separator: ',',
+        value: '$schedule.timesOfDay',
+        parse: value => (EventScheduleService.getTimeOfDayIds().includes(value) ? value : null),
+        buildCondition: (values, selections) => (selections.weekday
+            ? { 'schedule.slots': { $in: selections.weekday.flatMap(weekday => values.map(value => `${weekday}:${value}`)) } }
+            : { 'schedule.timesOfDay': { $in: values } })
+    }
+];
+
+class FacetUtils {
+    static getFacetIds() {
+        return FACETS.map(facet => facet.id);
+    }
+
+    // Valores elegidos de cada faceta en la petición
+    static parseSelections(params) {
+        const selections = {};
+        for (const facet of FACETS) {
+            const values = ValidationUtils.parseList(params[facet.param], { separator: facet.separator })
+                .map(value => (facet.parse ? facet.parse(value) : value))
+                .filter(value => value !== null && value !== '');
+            if (values.length > 0) {
+                selections[facet.id] = [...new Set(values)];
+            }
+        }
+        return selections;
+    }
+
+    // Condición de filtro de cada faceta con valores elegidos
+    static buildConditions(selections) {
+        return Object.fromEntries(FACETS
+            .filter(facet => selections[facet.id])
+            .map(facet => [facet.id, facet.buildCondition(selections[facet.id], selections)]));
+    }
+
+    /**
+     * Etapa $facet con el recuento por valor de cada faceta. Cada faceta aplica los filtros
+     * de las demás pero no el suyo, para poder elegir varios valores (Centro y Retiro).
+     * Los filtros de las demás se construyen sin su selección: la franja del día con días
+     * elegidos no debe cambiar el recuento por día.
+     */
+    static buildFacetStage(selections, facetIds = this.getFacetIds()) {
+        return {
+            $facet: Object.fromEntries(FACETS
+                .filter(facet => facetIds.includes(facet.id))
+                .map(facet => {
+                    const otherSelections = Object.fromEntries(Object.entries(selections)
+                        .filter(([id]) => id !== facet.id));
+                    const others = Object.values(this.buildConditions(otherSelections));
+                    return [facet.id, [
+                        ...(others.length > 0 ? [{ $match: { $and: others } }] : []),
+                        { $project: { _id: 0, value: facet.value } },
+                        { $unwind: '$value' },
+                        { $match: { value: { $nin: [null, ''] } } },
+                        { $group: { _id: '$value', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: MAX_BUCKETS },
+                        { $project: { _id: 0, value: '$_id', count: 1 } }
+                    ]];
+                }))
+        };
+    }
+}
+
+module.exports = FacetUtils;
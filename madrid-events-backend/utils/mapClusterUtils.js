@@ -0,0 +1,92 @@
+const constants = require('../config/constants');
+
+// Campos mínimos para pintar un marcador y su popup en el mapa
+const PIN_FIELDS = {
+    id: '$id',
+    title: '$title',
+    latitude: '$latitude',
+    longitude: '$longitude',
+    dtstart: '$dtstart',
+    dtend: '$dtend',
+    time: '$time',
+    free: '$free',
+    price: '$price',
+    pricing: '$pricing',
+    image: '$image',
+    'event-location': '$event-location'
+};
+
+class MapClusterUtils {
+    /**
+     * Tamaño en grados de la celda de agrupación para un zoom de Leaflet.
+     * Una celda ocupa MAP_CLUSTER_CELL_PX píxeles en pantalla; en latitud se corrige
+     * con el coseno de la latitud central para que las celdas sean aproximadamente cuadradas.
+     */
+    static getCellSize(zoom, centerLat) {
+        const degreesPerPixel = 360 / (256 * Math.pow(2, zoom));
+        const lon = constants.MAP_CLUSTER_CELL_PX * degreesPerPixel;
+        const lat = lon * Math.cos(centerLat * Math.PI / 180);
+        return { lon, lat };
+    }
+
+    static shouldCluster(zoom) {
+        return zoom < constants.MAP_CLUSTER_MAX_ZOOM;
+    }
+
+    static buildPinProjection() {
+        return Object.fromEntries(Object.keys(PIN_FIELDS).map(field => [field, 1]));
+    }
+
+    // Agrupa los eventos del viewport en celdas de la rejilla: recuento, centroide y extensión
+    static buildClusterPipeline(match, zoom, box) {
+        const cell = this.getCellSize(zoom, (box.minLat + box.maxLat) / 2);
+        return [
+            { $match: match },
+            { $sort: { dtstart: 1 } },
+            {
+                $group: {
+                    _id: {
+                        x: { $floor: { $divide: ['$longitude', cell.lon] } },
+                        y: { $floor: { $divide: ['$latitude', cell.lat] } }
+                    },
+                    count: { $sum: 1 },
+                    latitude: { $avg: '$latitude' },
+                    longitude: { $avg: '$longitude' },
+                    minLat: { $min: '$latitude' },
+                    maxLat: { $max: '$latitude' },
+                    minLon: { $min: '$longitude' },
+                    maxLon: { $max: '$longitude' },
+                    event: { $first: PIN_FIELDS }
+                }
+            },
+            { $sort: { count: -1 } },
+            { $limit: constants.MAP_MAX_MARKERS }
+        ];
+    }
+
+    // Las celdas con un único evento se devuelven como marcador individual
+    static toMapResponse(groups, zoom) {
+        const clusters = [];
+        const pins = [];
+        let total = 0;
+
+        for (const group of groups) {
+            total += group.count;
+            if (group.count === 1) {
+                pins.push(group.event);
+                continue;
+            }
+            clusters.push({
+                id: `${zoom}:${group._id.x}:${group._id.y}`,
+                count: group.count,
+                latitude: group.latitude,
+                longitude: group.longitude,
+                bounds: [group.minLon, group.minLat, group.maxLon, group.maxLat]
+            });
+        }
+
+        return { zoom, total, clusters, pins };
+    }
+}
+
+module.exports = MapClusterUtils;
@@ -0,0 +1,279 @@
+const StringUtils = require('./stringUtils');
+
+// Versión de los campos de búsqueda guardados; al cambiar se recalculan al arrancar
+const SEARCH_FIELDS_VERSION = 1;
+const DESCRIPTION_LENGTH = 1000;
+const SNIPPET_LENGTH = 160;
+const MAX_CANDIDATES = 500;
+const DATE_BOOST = 0.5;
+const DATE_BOOST_DAYS = 30;
+
+// Peso de cada campo en la relevancia
+const FIELD_WEIGHTS = {
+    title: 3,
+    text: 1.5,
+    description: 1
+};
+
+const STOPWORDS = new Set([
+    'a', 'al', 'con', 'de', 'del', 'el', 'en', 'la', 'las', 'lo', 'los', 'para', 'por', 'un', 'una', 'y',
+    'the', 'of', 'and', 'in'
+]);
+
+const HTML_ENTITIES = {
+    amp: '&',
+    quot: '"',
+    apos: '\'',
+    lt: '<',
+    gt: '>',
+    nbsp: ' '
+};
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class SearchUtils {
+    // Texto plano de un campo que puede traer HTML y entidades
+    static toPlainText(value) {
+        return String(value || '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1].toLowerCase() === 'x'
+                        ? parseInt(entity.slice(2), 16)
+                        : parseInt(entity.slice(1), 10);
+                    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+                }
+                return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static tokenize(text) {
+        return StringUtils.toComparableKey(text).split(' ').filter(Boolean);
+    }
+
+    static trigrams(word) {
+        if (word.length < 3) {
+            return [];
+        }
+        const grams = [];
+        for (let i = 0; i <= word.length - 3; i++) {
+            grams.push(word.slice(i, i + 3));
+        }
+        return grams;
+    }
+
+    // Campos normalizados (sin tildes ni signos) y trigramas que se guardan en cada evento
+    static buildSearchFields(event) {
+        const title = StringUtils.toComparableKey(this.toPlainText(event.title));
+        const text = StringUtils.toComparableKey([
+            event['event-location'],
+            event['organization-name'],
+            event.distrito,
+            event.barrio
+        ].map(value => this.toPlainText(value)).join(' '));
+        const description = StringUtils.toComparableKey(
+            this.toPlainText(event.description).slice(0, DESCRIPTION_LENGTH)
+        );
+
+        const words = new Set([title, text, description].join(' ').split(' ').filter(Boolean));
+        const grams = new Set([...words].flatMap(word => this.trigrams(word)));
+
+        return {
+            version: SEARCH_FIELDS_VERSION,
+            title,
+            text,
+            description,
+            grams: [...grams]
+        };
+    }
+
+    // Palabras de la consulta; se descartan las vacías salvo que no quede ninguna otra
+    static parseQuery(q) {
+        const words = this.tokenize(q);
+        const meaningful = words.filter(word => !STOPWORDS.has(word));
+        return meaningful.length > 0 ? meaningful : words;
+    }
+
+    /**
+     * Condición de candidatos: eventos que comparten suficientes trigramas con la consulta.
+     * Las palabras de menos de tres letras se buscan como prefijo.
+     */
+    static buildCandidateStages(words) {
+        const grams = [...new Set(words.flatMap(word => this.trigrams(word)))];
+        if (grams.length === 0) {
+            const prefixes = words.map(word => ({
+                $or: ['title', 'text'].map(field => ({
+                    [`search.${field}`]: { $regex: `(^| )${word}` }
+                }))
+            }));
+            return [{ $match: { $and: prefixes } }, { $limit: MAX_CANDIDATES }];
+        }
+
+        // Con erratas se pierden trigramas: basta con un tercio de los de la consulta
+        const minHits = Math.max(1, Math.ceil(grams.length / 3));
+        return [
+            { $match: { 'search.grams': { $in: grams } } },
+            { $addFields: { gramHits: { $size: { $setIntersection: ['$search.grams', grams] } } } },
+            { $match: { gramHits: { $gte: minHits } } },
+            { $sort: { gramHits: -1 } },
+            { $limit: MAX_CANDIDATES },
+            { $unset: 'gramHits' }
+        ];
+    }
+
+    static maxTypos(word) {
+        if (word.length <= 3) return 0;
+        if (word.length <= 5) return 1;
+        return 2;
+    }
+
+    /**
+     * Parecido entre una palabra de la consulta y una del documento (0..1):
+     * exacta, prefijo (búsqueda mientras se escribe), contenida o con erratas
+     */
+    static matchWord(queryWord, word) {
+        if (word === queryWord) return 1;
+        if (word.startsWith(queryWord)) return 0.85;
+        if (queryWord.length >= 3 && word.includes(queryWord)) return 0.6;
+
+        const typos = this.maxTypos(queryWord);
+        if (typos > 0 && Math.abs(word.length - queryWord.length) <= typos + 2) {
+            const distance = Math.min(
+                StringUtils.levenshtein(queryWord, word),
+                StringUtils.levenshtein(queryWord, word.slice(0, queryWord.length))
+            );
+            if (distance <= typos) {
+                return 0.7 - 0.15 * distance;
+            }
+        }
+        return 0;
+    }
+
+    // Coincidencia de un texto corto (sede, organizador, barrio) con todas las palabras de la consulta
+    static matchText(value, words) {
+        const tokens = this.tokenize(this.toPlainText(value));
+        const matches = new Set();
+        let total = 0;
+
+        for (const queryWord of words) {
+            let best = 0;
+            for (const token of tokens) {
+                const similarity = this.matchWord(queryWord, token);
+                if (similarity > 0) {
+                    matches.add(token);
+                    best = Math.max(best, similarity);
+                }
+            }
+            if (best === 0) {
+                return null;
+            }
+            total += best;
+        }
+        return { score: total / words.length, matches };
+    }
+
+    /**
+     * Relevancia de un evento para las palabras de la consulta, combinada con la cercanía de su fecha.
+     * Devuelve null si ninguna palabra coincide; matches son las palabras del documento que coinciden.
+     */
+    static scoreDocument(doc, words, now = new Date()) {
+        const fields = Object.fromEntries(Object.keys(FIELD_WEIGHTS)
+            .map(field => [field, (doc.search?.[field] || '').split(' ').filter(Boolean)]));
+        const matches = new Set();
+        let total = 0;
+        let matchedWords = 0;
+
+        for (const queryWord of words) {
+            let best = 0;
+            for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+                for (const word of fields[field]) {
+                    const similarity = this.matchWord(queryWord, word);
+                    if (similarity > 0) {
+                        matches.add(word);
+                        best = Math.max(best, similarity * weight);
+                    }
+                }
+            }
+            if (best > 0) {
+                matchedWords++;
+                total += best;
+            }
+        }
+
+        if (matchedWords === 0) {
+            return null;
+        }
+
+        const maxWeight = Math.max(...Object.values(FIELD_WEIGHTS));
+        const relevance = (total / (words.length * maxWeight)) * (matchedWords / words.length);
+        return {
+            score: relevance * (1 + this.getDateBoost(doc, now)),
+            matches
+        };
+    }
+
+    // Los eventos en curso o que empiezan pronto suben; el efecto se diluye en unas semanas
+    static getDateBoost(doc, now) {
+        const start = new Date(doc.dtstart);
+        const end = new Date(doc.dtend);
+        if (Number.isNaN(start.getTime())) {
+            return 0;
+        }
+        if (!Number.isNaN(end.getTime()) && end < now) {
+            return 0;
+        }
+        const daysUntilStart = Math.max(0, (start - now) / (24 * 60 * 60 * 1000));
+        return DATE_BOOST * Math.exp(-daysUntilStart / DATE_BOOST_DAYS);
+    }
+
+    /**
+     * Texto con las palabras coincidentes marcadas con <mark> (HTML escapado).
+     * Con maxLength devuelve un fragmento alrededor de la primera coincidencia.
+     */
+    static highlight(value, matches, maxLength = null) {
+        const text = this.toPlainText(value);
+        const ranges = [];
+        for (const found of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (matches.has(StringUtils.toComparableKey(found[0]))) {
+                ranges.push([found.index, found.index + found[0].length]);
+            }
+        }
+
+        let start = 0;
+        let end = text.length;
+        if (maxLength && text.length > maxLength) {
+            if (ranges.length === 0) {
+                return null;
+            }
+            start = Math.max(0, ranges[0][0] - Math.floor(maxLength / 3));
+            end = Math.min(text.length, start + maxLength);
+        }
+
+        let result = start > 0 ? '…' : '';
+        let cursor = start;
+        for (const [from, to] of ranges) {
+            if (from < start || to > end) continue;
+            result += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+            cursor = to;
+        }
+        result += escapeHtml(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+        return result;
+    }
+
+    static buildHighlights(doc, matches) {
+        return {
+            title: this.highlight(doc.title, matches),
+            description: this.highlight(doc.description, matches, SNIPPET_LENGTH)
+        };
+    }
+}
+
+module.exports = SearchUtils;
@@ -16,6 +16,43 @@ static stripInvalidControlCharacters(str) {
         return str.toLowerCase();
     }
 
+    // Minúsculas y sin tildes ni diéresis: "Música" -> "musica"
+    static foldDiacritics(str) {
+        if (!str) {
+            return '';
+        }
+        return String(str)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    // Clave comparable de un texto libre: sin tildes, signos ni espacios repetidos
+    static toComparableKey(str) {
+        return this.foldDiacritics(str)
+            .replace(/[^a-z0-9 ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Distancia de edición (inserciones, borrados y sustituciones) entre dos textos
+    static levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a) return b.length;
+        if (!b) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
     static cleanOrganizationName(orgName, distrito, barrio) {
         const regex = /\(([^)]+)\)/g;
         return orgName.replace(regex, (match, p1) => {
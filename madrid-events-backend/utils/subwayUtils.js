@@ -9,7 +9,7 @@ class SubwayUtils {
                 return [];
             }
 
-            const normalizedStationName = StringUtils.normalizeString(stationName);
+            const normalizedStationName = StringUtils.toComparableKey(stationName);
 
             logger.debug('Searching for subway lines', {
                 station: stationName,
@@ -17,7 +17,7 @@ class SubwayUtils {
             });
 
             const stationData = subwayData.find(station =>
-                StringUtils.normalizeString(station.subway) === normalizedStationName
+                StringUtils.toComparableKey(station.subway) === normalizedStationName
             );
 
             if (stationData) {
@@ -40,6 +40,87 @@ class SubwayUtils {
             return [];
         }
     }
+
+    // Número de línea de la URL ("5" o "L5"); null si no es válido
+    static parseLineNumber(value) {
+        const match = /^L?(\d{1,2})$/i.exec(String(value || '').trim());
+        return match ? Number(match[1]) : null;
+    }
+
+    static toStation(station) {
+        return {
+            name: station.subway,
+            lines: station.lines || [],
+            latitude: station.latitude ?? null,
+            longitude: station.longitude ?? null
+        };
+    }
+
+    // Líneas de la red con su color y número de estaciones, ordenadas por número
+    static getLines(subwayData) {
+        const lines = new Map();
+        for (const station of subwayData || []) {
+            for (const line of station.lines || []) {
+                const current = lines.get(line.number) || { number: line.number, color: line.color, stationsCount: 0 };
+                current.stationsCount++;
+                lines.set(line.number, current);
+            }
+        }
+        return [...lines.values()].sort((a, b) => a.number - b.number);
+    }
+
+    static getStationsByLine(subwayData, lineNumber) {
+        return (subwayData || [])
+            .filter(station => (station.lines || []).some(line => line.number === lineNumber))
+            .map(station => this.toStation(station))
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+
+    /**
+     * Búsqueda aproximada de estaciones sin tildes ni mayúsculas: primero coincidencias exactas,
+     * luego por prefijo, luego parciales y por último con erratas (distancia de edición)
+     */
+    static findStations(subwayData, query, limit = 10) {
+        const term = StringUtils.toComparableKey(query);
+        if (!term) {
+            return [];
+        }
+        const maxTypos = term.length <= 3 ? 0 : term.length <= 5 ? 1 : term.length <= 8 ? 2 : 3;
+
+        const scoreStation = (name) => {
+            const key = StringUtils.toComparableKey(name);
+            const words = key.split(' ');
+            if (key === term) return 0;
+            if (key.startsWith(term)) return 1;
+            if (words.some(word => word.startsWith(term)) || key.includes(term)) return 2;
+
+            const typos = Math.min(
+                StringUtils.levenshtein(term, key),
+                StringUtils.levenshtein(term, key.slice(0, term.length)),
+                ...words.map(word => StringUtils.levenshtein(term, word))
+            );
+            return typos <= maxTypos ? 3 + typos : null;
+        };
+
+        return (subwayData || [])
+            .map(station => ({ station, score: scoreStation(station.subway) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => a.score - b.score || a.station.subway.localeCompare(b.station.subway, 'es'))
+            .slice(0, limit)
+            .map(({ station }) => this.toStation(station));
+    }
+
+    // Estaciones del dataset de metro como paradas del índice de transporte
+    static toTransitStops(subwayData) {
+        return (subwayData || []).map(station => ({
+            mode: 'metro',
+            name: station.subway,
+            lines: station.lines || [],
+            latitude: station.latitude,
+            longitude: station.longitude,
+            entrances: station.entrances || []
+        }));
+    }
 }
 
 module.exports = SubwayUtils;
\ No newline at end of file
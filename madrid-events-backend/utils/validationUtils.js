@@ -20,6 +20,17 @@ class ValidationUtils {
         return Math.min(Math.max(parsed, min), max);
     }
 
+    // Valores de un parámetro repetido (?a=1&a=2) o, con separator, separados en uno solo (?a=1,2)
+    static parseList(value, options = {}) {
+        const { separator = null } = options;
+        const values = Array.isArray(value) ? value : [value];
+        return values
+            .filter(item => typeof item === 'string')
+            .flatMap(item => (separator ? item.split(separator) : [item]))
+            .map(item => item.trim())
+            .filter(Boolean);
+    }
+
     static parseDate(value) {
         if (!value) {
             return null;
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { Marker, useMap } from 'react-leaflet';
+import type { DivIcon } from 'leaflet';
+import { useIntl } from 'react-intl';
+import { MapCluster } from '../types/types';
+
+interface ClusterMarkerProps {
+  cluster: MapCluster;
+}
+
+const getClusterSize = (count: number) => {
+  if (count >= 100) return 48;
+  if (count >= 10) return 40;
+  return 32;
+};
+
+const ClusterMarker: React.FC<ClusterMarkerProps> = ({ cluster }) => {
+  const map = useMap();
+  const intl = useIntl();
+  const [icon, setIcon] = useState<DivIcon | null>(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const createIcon = async () => {
+      const L = (await import('leaflet')).default;
+      if (!isMounted) return;
+      const size = getClusterSize(cluster.count);
+      setIcon(
+        L.divIcon({
+          html: `<div class="flex items-center justify-center w-full h-full rounded-full bg-blue-600 text-white text-sm font-bold border-2 border-white shadow-md">${cluster.count}</div>`,
+          className: '',
+          iconSize: [size, size],
+          iconAnchor: [size / 2, size / 2],
+        }),
+      );
+    };
+
+    createIcon();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [cluster.count]);
+
+  // Zooms into the cluster area; clusters on a single spot zoom in two levels
+  const handleClick = () => {
+    const [minLon, minLat, maxLon, maxLat] = cluster.bounds;
+    if (minLon === maxLon && minLat === maxLat) {
+      map.setView([cluster.latitude, cluster.longitude], map.getZoom() + 2);
+      return;
+    }
+    map.fitBounds(
+      [
+        [minLat, minLon],
+        [maxLat, maxLon],
+      ],
+      { padding: [40, 40] },
+    );
+  };
+
+  if (!icon) {
+    return null;
+  }
+
+  return (
+    <Marker
+      position={[cluster.latitude, cluster.longitude]}
+      icon={icon}
+      title={intl.formatMessage(
+        { id: 'app.map.cluster' },
+        { count: cluster.count },
+      )}
+      eventHandlers={{ click: handleClick }}
+    />
+  );
+};
+
+export default ClusterMarker;
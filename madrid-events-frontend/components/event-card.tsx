@@ -4,6 +4,9 @@ import { Calendar, MapPin, Clock, Ruler } from 'lucide-react';
 import { useIntl } from 'react-intl';
 import DOMPurify from 'isomorphic-dompurify';
 import { Event as EventType } from '../types/types'; // Cambia esto si la importación de Event es diferente
+import TransitStops from './transit-stops';
+import { formatEventDate } from '../lib/dates';
+import { formatPriceBadge } from '../lib/prices';
 
 interface EventCardProps {
   event: EventType; // Cambia a tu tipo de evento
@@ -30,9 +33,7 @@ const EventCard: React.FC<EventCardProps> = ({
 }) => {
   const intl = useIntl();
 
-  const truncatePrice = (price: string) => {
-    return price.length > 5 ? price.substring(0, 5) + '...' : price;
-  };
+  const priceBadge = formatPriceBadge(intl, event);
 
   const cardRef = useRef<HTMLDivElement>(null);
   const [isVisible, setIsVisible] = useState(false);
@@ -73,9 +74,19 @@ const EventCard: React.FC<EventCardProps> = ({
     id: 'app.event.description.unavailable',
   });
   const sanitizedDescription = useMemo(() => {
-    const description = event.description || descriptionFallback;
+    const description =
+      event.highlights?.description || event.description || descriptionFallback;
     return DOMPurify.sanitize(description);
-  }, [event.description, descriptionFallback]);
+  }, [event.highlights, event.description, descriptionFallback]);
+
+  // Search results mark the matched words in the title
+  const highlightedTitle = useMemo(
+    () =>
+      event.highlights?.title
+        ? DOMPurify.sanitize(event.highlights.title, { ALLOWED_TAGS: ['mark'] })
+        : null,
+    [event.highlights],
+  );
 
   return (
     <div
@@ -114,18 +125,13 @@ const EventCard: React.FC<EventCardProps> = ({
           </div>
         )}
         <div className="absolute top-0 left-0 w-full h-full bg-gradient-to-b from-transparent to-gray-900 opacity-70" />
-        <span
-          className={`absolute top-2 right-2 ${colorPalette.priceBadgeBg} ${colorPalette.priceBadgeText} px-2 py-1 rounded-lg text-sm font-bold`}
-        >
-          {event.free
-            ? intl.formatMessage({ id: 'app.event.free' })
-            : truncatePrice(
-                intl.formatMessage(
-                  { id: 'app.event.from' },
-                  { price: event.price || '20€' },
-                ),
-              )}
-        </span>
+        {priceBadge && (
+          <span
+            className={`absolute top-2 right-2 ${colorPalette.priceBadgeBg} ${colorPalette.priceBadgeText} px-2 py-1 rounded-lg text-sm font-bold`}
+          >
+            {priceBadge}
+          </span>
+        )}
       </div>
       <div className="p-4 flex-grow flex flex-col">
         <h2
@@ -138,7 +144,11 @@ const EventCard: React.FC<EventCardProps> = ({
             minHeight: '3em', /* Forces the title to occupy the space equivalent to two lines */
           }}
         >
-          {decodeHTMLEntities(event.title)}
+          {highlightedTitle ? (
+            <span dangerouslySetInnerHTML={{ __html: highlightedTitle }} />
+          ) : (
+            decodeHTMLEntities(event.title)
+          )}
         </h2>
         <p
           className="text-gray-700 dark:text-gray-300 line-clamp-2 mb-4 text-sm font-sans"
@@ -158,7 +168,7 @@ const EventCard: React.FC<EventCardProps> = ({
           <div className="text-gray-500 dark:text-gray-400 flex items-center font-sans">
             <Calendar size={16} className="mr-1" />
             <span className="text-sm">
-              {new Date(event.dtstart).toLocaleDateString()}
+              {formatEventDate(intl, event.dtstart)}
             </span>
             {event.time && (
               <>
@@ -214,6 +224,14 @@ const EventCard: React.FC<EventCardProps> = ({
               </span>
             </div>
           </div>
+          {event.transit && event.transit.length > 0 && (
+            <TransitStops
+              stops={event.transit}
+              compact
+              excludeModes={['metro']}
+              textClassName="mt-2 text-gray-500 dark:text-gray-400 font-sans"
+            />
+          )}
         </div>
       </div>
     </div>
@@ -18,12 +18,20 @@ const Marker = dynamic(
 const Popup = dynamic(() => import('react-leaflet').then((mod) => mod.Popup), {
   ssr: false,
 });
-import React, { useEffect } from 'react';
+const ViewportLoader = dynamic(() => import('./viewport-loader'), {
+  ssr: false,
+});
+const ClusterMarker = dynamic(() => import('./cluster-marker'), {
+  ssr: false,
+});
+import React, { useCallback, useEffect, useState } from 'react';
 import Image from 'next/image';
 import 'leaflet/dist/leaflet.css';
 import { useIntl } from 'react-intl';
-import { Event } from '../types/types';
+import { Event, MapMarkersResponse, MapPin } from '../types/types';
 import MapController from './map-controller';
+import { formatEventDate } from '../lib/dates';
+import { formatPriceBadge } from '../lib/prices';
 
 const ensureDefaultIcon = async () => {
   const L = (await import('leaflet')).default;
@@ -51,24 +59,49 @@ interface ColorPalette {
   text: string;
   priceBadgeBg: string;
   priceBadgeText: string;
+  buttonBorder: string;
 }
 
 interface EventMapProps {
+  // Markers always come from fetchMarkers; search results only frame the view
   events: Event[];
+  isSearchMode: boolean;
+  fetchMarkers: (
+    bbox: string,
+    zoom: number,
+    signal: AbortSignal,
+  ) => Promise<MapMarkersResponse>;
   colorPalette: ColorPalette;
-  onEventSelect: (event: Event) => void;
+  onEventSelect: (pin: MapPin) => void;
   shouldResetView: boolean;
   onResetViewComplete: () => void;
 }
 
+const EMPTY_MARKERS: MapMarkersResponse = {
+  zoom: 0,
+  total: 0,
+  clusters: [],
+  pins: [],
+};
+
 const EventMap: React.FC<EventMapProps> = ({
   events,
+  isSearchMode,
+  fetchMarkers,
   colorPalette,
   onEventSelect,
   shouldResetView,
   onResetViewComplete,
 }) => {
   const intl = useIntl();
+  const [markers, setMarkers] = useState<MapMarkersResponse>(EMPTY_MARKERS);
+  const [isLoading, setIsLoading] = useState(false);
+  const [hasLoaded, setHasLoaded] = useState(false);
+
+  const handleMarkersLoaded = useCallback((loaded: MapMarkersResponse) => {
+    setMarkers(loaded);
+    setHasLoaded(true);
+  }, []);
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -76,13 +109,15 @@ const EventMap: React.FC<EventMapProps> = ({
     }
   }, []);
 
-  const handleEventSelect = (event: Event) => {
-    onEventSelect(event);
+  const handleEventSelect = (pin: MapPin) => {
+    onEventSelect(pin);
   };
 
-  const truncatePrice = (price: string) => {
-    return price.length > 30 ? price.substring(0, 27) + '...' : price;
-  };
+  const pins: MapPin[] = markers.pins;
+  const clusters = markers.clusters;
+  const hasNoMarkers =
+    pins.filter((e) => e.latitude && e.longitude).length === 0 &&
+    clusters.length === 0;
 
   return (
     <div className="relative w-full h-full" style={{ zIndex: 1 }}>
@@ -91,16 +126,26 @@ const EventMap: React.FC<EventMapProps> = ({
         zoom={13}
         style={{ height: '100%', width: '100%' }}
       >
-        <MapController
-          events={events}
-          shouldResetView={shouldResetView}
-          onResetViewComplete={onResetViewComplete}
+        {isSearchMode && (
+          <MapController
+            events={events}
+            shouldResetView={shouldResetView}
+            onResetViewComplete={onResetViewComplete}
+          />
+        )}
+        <ViewportLoader
+          fetchMarkers={fetchMarkers}
+          onMarkersLoaded={handleMarkersLoaded}
+          onLoadingChange={setIsLoading}
         />
         <TileLayer
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           attribution='&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a> contributors'
         />
-        {events.map(
+        {clusters.map((cluster) => (
+          <ClusterMarker key={cluster.id} cluster={cluster} />
+        ))}
+        {pins.map(
           (event) =>
             event.latitude &&
             event.longitude && (
@@ -135,9 +180,7 @@ const EventMap: React.FC<EventMapProps> = ({
                     <div
                       className={`${colorPalette.text} text-sm flex items-center mb-1`}
                     >
-                      <span>
-                        {new Date(event.dtstart).toLocaleDateString()}
-                      </span>
+                      <span>{formatEventDate(intl, event.dtstart)}</span>
                       {event.time && (
                         <>
                           <span className="mx-1">•</span>
@@ -145,25 +188,27 @@ const EventMap: React.FC<EventMapProps> = ({
                         </>
                       )}
                     </div>
-                    <span
-                      className={`${colorPalette.priceBadgeBg} ${colorPalette.priceBadgeText} px-2 py-1 rounded-full text-sm font-bold`}
-                    >
-                      {event.free
-                        ? intl.formatMessage({ id: 'app.event.free' })
-                        : truncatePrice(
-                            intl.formatMessage(
-                              { id: 'app.event.from' },
-                              { price: event.price || '20€' },
-                            ),
-                          )}
-                    </span>
+                    {formatPriceBadge(intl, event) && (
+                      <span
+                        className={`${colorPalette.priceBadgeBg} ${colorPalette.priceBadgeText} px-2 py-1 rounded-full text-sm font-bold`}
+                      >
+                        {formatPriceBadge(intl, event)}
+                      </span>
+                    )}
                   </div>
                 </Popup>
               </Marker>
             ),
         )}
       </MapContainer>
-      {events.filter((e) => e.latitude && e.longitude).length === 0 && (
+      {isLoading && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-30 z-[1000] pointer-events-none">
+          <div
+            className={`animate-spin rounded-full h-8 w-8 border-b-2 ${colorPalette.buttonBorder}`}
+          ></div>
+        </div>
+      )}
+      {hasNoMarkers && hasLoaded && !isLoading && (
         <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white p-4 rounded shadow-md z-[1000]">
           <p className="text-gray-800">
             {intl.formatMessage({ id: 'app.map.no.events' })}
@@ -8,14 +8,17 @@ import {
   MapPin,
   Euro,
   Calendar,
+  CalendarClock,
   Clock,
   Ruler,
   Train,
   RailSymbol,
 } from 'lucide-react';
 import { useIntl } from 'react-intl';
-import { Event } from '../types/types';
+import { Event, Weekday } from '../types/types';
 import DOMPurify from 'isomorphic-dompurify';
+import TransitStops from './transit-stops';
+import { formatEventDateRange } from '../lib/dates';
 
 const MapContainer = dynamic(
   () => import('react-leaflet').then((mod) => mod.MapContainer),
@@ -33,6 +36,16 @@ const Popup = dynamic(() => import('react-leaflet').then((mod) => mod.Popup), {
   ssr: false,
 });
 
+const WEEKDAY_ORDER: Weekday[] = [
+  'mon',
+  'tue',
+  'wed',
+  'thu',
+  'fri',
+  'sat',
+  'sun',
+];
+
 export type { EventModalProps };
 interface ColorPalette {
   cardBg: string;
@@ -81,10 +94,51 @@ export default function EventModal({
     }
   };
 
-  const formatDate = (start: string, end: string) => {
-    const startDate = new Date(start).toLocaleDateString();
-    const endDate = end ? new Date(end).toLocaleDateString() : null;
-    return endDate ? `${startDate} - ${endDate}` : startDate;
+  // Runs of three or more weekdays read as a range: "Tuesday – Sunday"
+  const formatWeekdays = (weekdays: Weekday[]) => {
+    if (weekdays.length === WEEKDAY_ORDER.length) {
+      return intl.formatMessage({ id: 'app.event.schedule.daily' });
+    }
+    const name = (weekday: Weekday) =>
+      intl.formatMessage({ id: `app.facet.weekday.${weekday}` });
+    const runs: Weekday[][] = [];
+    WEEKDAY_ORDER.forEach((weekday, index) => {
+      if (!weekdays.includes(weekday)) return;
+      const run = runs[runs.length - 1];
+      if (run && run[run.length - 1] === WEEKDAY_ORDER[index - 1]) {
+        run.push(weekday);
+      } else {
+        runs.push([weekday]);
+      }
+    });
+    return runs
+      .flatMap((run) =>
+        run.length >= 3
+          ? [`${name(run[0])} – ${name(run[run.length - 1])}`]
+          : run.map(name),
+      )
+      .join(', ');
+  };
+
+  const formatSchedule = () => {
+    const rules = event.schedule?.rules ?? [];
+    // Every day without hours adds nothing to the dates
+    const isEveryDay = rules.every(
+      (rule) =>
+        rule.weekdays.length === WEEKDAY_ORDER.length &&
+        rule.times.length === 0,
+    );
+    if (isEveryDay) return null;
+    return rules
+      .map((rule) => {
+        const times = rule.times
+          .map(({ start, end }) => (end ? `${start}–${end}` : start))
+          .join(', ');
+        return times
+          ? `${formatWeekdays(rule.weekdays)} ${times}`
+          : formatWeekdays(rule.weekdays);
+      })
+      .join('; ');
   };
 
   const renderInfoItem = (
@@ -152,6 +206,8 @@ export default function EventModal({
     return textarea.value;
   };
 
+  const hasTransit = !!event.transit && event.transit.length > 0;
+
   const sanitizedDescription = useMemo(
     () => DOMPurify.sanitize(event.description || ''),
     [event.description],
@@ -215,8 +271,12 @@ export default function EventModal({
                   ? intl.formatMessage({ id: 'app.event.free' })
                   : event.price || intl.formatMessage({ id: 'app.event.free' }),
               )}
-              {renderInfoItem(Calendar, formatDate(event.dtstart, event.dtend))}
+              {renderInfoItem(
+                Calendar,
+                formatEventDateRange(intl, event.dtstart, event.dtend),
+              )}
               {renderInfoItem(Clock, event.time)}
+              {renderInfoItem(CalendarClock, formatSchedule())}
               {renderInfoItem(
                 Ruler,
                 event.distance
@@ -226,17 +286,29 @@ export default function EventModal({
                     )
                   : null,
               )}
-              {renderInfoItem(
-                Train,
-                event.subway
-                  ? intl.formatMessage(
-                      { id: 'app.event.subway' },
-                      { subway: event.subway },
-                    )
-                  : null,
-              )}
-              {renderMetroLines()}
+              {!hasTransit &&
+                renderInfoItem(
+                  Train,
+                  event.subway
+                    ? intl.formatMessage(
+                        { id: 'app.event.subway' },
+                        { subway: event.subway },
+                      )
+                    : null,
+                )}
+              {!hasTransit && renderMetroLines()}
             </div>
+            {hasTransit && (
+              <div className="mb-4">
+                <h3 className={`font-semibold mb-2 ${colorPalette.text}`}>
+                  {intl.formatMessage({ id: 'app.transit.title' })}:
+                </h3>
+                <TransitStops
+                  stops={event.transit || []}
+                  textClassName={colorPalette.subtitleText}
+                />
+              </div>
+            )}
             {event.latitude && event.longitude && (
               <div className="mb-4">
                 <h3 className={`font-semibold mb-2 ${colorPalette.text}`}>
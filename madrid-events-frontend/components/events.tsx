@@ -10,17 +10,34 @@ import React, {
 import 'leaflet/dist/leaflet.css';
 import dynamic from 'next/dynamic';
 import { useIntl } from 'react-intl';
+import { X } from 'lucide-react';
 
 import { lightPalette, darkPalette } from '../styles/color-palettes';
-import { Event, FilterState, SortState } from '../types/types';
+import {
+  DateRangeFilter,
+  Event,
+  FacetId,
+  FacetSelections,
+  FacetsResponse,
+  FilterState,
+  MapMarkersResponse,
+  MapPin,
+  SearchSuggestion,
+  SortBy,
+  SortState,
+  SuggestionType,
+  TimeOfDay,
+  Weekday,
+  WeekdayFilter,
+} from '../types/types';
 import ErrorMessage from './error-message';
-import Toast from './toast';
 import AutoCarousel from './auto-carousel';
 import EventModal, { EventModalProps } from './event-modal';
 import EventCard from './event-card';
 import EventMap from './event-map';
 import Header from './header';
 import FilterNav from './filter-nav';
+import FacetPanel from './facet-panel';
 import Footer from './footer';
 
 const SettingsModal = dynamic(() => import('./settings-modal'), {
@@ -38,17 +55,51 @@ if (!API_PORT) {
 }
 
 const ITEMS_PER_PAGE = 20;
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_DEBOUNCE_MS = 250;
+
+// API parameter of each facet; several values repeat the parameter
+const FACET_PARAMS: Record<FacetId, string> = {
+  distrito: 'distrito_nombre',
+  barrio: 'barrio_nombre',
+  category: 'category',
+  priceBand: 'priceBand',
+  audience: 'audience',
+  line: 'line',
+  weekday: 'weekday',
+  timeOfDay: 'timeOfDay',
+};
+
+// API parameter of the filter each kind of suggestion applies
+const SUGGESTION_FILTER_PARAMS: Record<
+  Exclude<SuggestionType, 'event'>,
+  string
+> = {
+  venue: 'venue',
+  organization: 'organization',
+  barrio: 'barrio_nombre',
+  station: 'station',
+};
 const DEFAULT_FILTER_STATE: FilterState = {
   today: false,
+  tomorrow: false,
   thisWeek: false,
   thisWeekend: false,
   thisMonth: false,
   free: false,
   children: false,
+  weekdays: false,
+  weekends: false,
+  morning: false,
+  afternoon: false,
+  evening: false,
 };
 
+type GeoLocation = { lat: number; lon: number };
+
 type FilterOverrides = {
   includePast?: boolean;
+  geoLocation?: GeoLocation | null;
 };
 
 const lazyLoadComponent = (
@@ -68,69 +119,39 @@ const LazyEventModal = lazyLoadComponent(() =>
 interface SettingsState {
   isDarkMode: boolean;
   showCarousel: boolean;
-  geoLocation: { lat: number; lon: number } | null;
+  geoLocation: GeoLocation | null;
   pastEvents: boolean;
 }
 
-const getDateRangeFromFilter = (state: FilterState) => {
-  const clampDate = (date: Date, endOfDay = false) => {
-    const copy = new Date(date);
-    if (endOfDay) {
-      copy.setHours(23, 59, 59, 999);
-    } else {
-      copy.setHours(0, 0, 0, 0);
-    }
-    return copy;
-  };
-
-  if (state.today) {
-    const start = clampDate(new Date());
-    const end = clampDate(new Date(), true);
-    return { start, end };
-  }
-
-  if (state.thisWeek) {
-    const today = new Date();
-    const day = today.getDay() === 0 ? 7 : today.getDay();
-    const firstDay = clampDate(
-      new Date(today.setDate(today.getDate() - day + 1)),
-    );
-    const lastDay = clampDate(new Date(firstDay), true);
-    lastDay.setDate(firstDay.getDate() + 6);
-    return { start: firstDay, end: lastDay };
-  }
-
-  if (state.thisWeekend) {
-    const today = new Date();
-    const saturday = clampDate(
-      new Date(today.setDate(today.getDate() - today.getDay() + 6)),
-    );
-    const sunday = clampDate(new Date(saturday), true);
-    sunday.setDate(saturday.getDate() + 1);
-    return { start: saturday, end: sunday };
-  }
-
-  if (state.thisMonth) {
-    const now = new Date();
-    const firstDay = clampDate(new Date(now.getFullYear(), now.getMonth(), 1));
-    const lastDay = clampDate(
-      new Date(now.getFullYear(), now.getMonth() + 1, 0),
-      true,
-    );
-    return { start: firstDay, end: lastDay };
-  }
+// Date filters send a named range that the API resolves in Madrid time
+const DATE_RANGES: Record<DateRangeFilter, string> = {
+  today: 'today',
+  tomorrow: 'tomorrow',
+  thisWeek: 'thisWeek',
+  thisWeekend: 'weekend',
+  thisMonth: 'thisMonth',
+};
+const DATE_RANGE_FILTERS = Object.keys(DATE_RANGES) as DateRangeFilter[];
 
-  return { start: null, end: null };
+// Schedule filters: events with a session on those weekdays, starting at those times of day
+const WEEKDAY_FILTERS: Record<WeekdayFilter, Weekday[]> = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
 };
+const TIME_OF_DAY_FILTERS: TimeOfDay[] = ['morning', 'afternoon', 'evening'];
 
 export function Events() {
   const intl = useIntl();
   const [events, setEvents] = useState<Event[]>([]);
-  const [searchResults, setSearchResults] = useState<Event[]>([]);
-  const [isSearchMode, setIsSearchMode] = useState(false);
+  // Submitted search; it is sent as q together with the filters
+  const [searchTerm, setSearchTerm] = useState('');
   const [filter, setFilter] = useState('');
+  const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+  const [suggestionFilter, setSuggestionFilter] =
+    useState<SearchSuggestion | null>(null);
+  const [facetSelections, setFacetSelections] = useState<FacetSelections>({});
+  const [facets, setFacets] = useState<FacetsResponse | null>(null);
   const [shouldResetMapView, setShouldResetMapView] = useState(false);
-  const [showToast, setShowToast] = useState(false);
   const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -143,11 +164,11 @@ export function Events() {
     by: 'distance',
     order: 'asc',
   });
+  // Search results are ordered by the server, relevance first
+  const [searchSortBy, setSearchSortBy] = useState<SortBy>('relevance');
   const [isFilterOpen, setIsFilterOpen] = useState(false);
   const [isMapView, setIsMapView] = useState(false);
   const [selectedEvent, setSelectedEvent] = useState<Event | null>(null);
-  const [mapEvents, setMapEvents] = useState<Event[]>([]);
-  const [isMapDataLoading, setIsMapDataLoading] = useState(false);
 
   const [settingsState, setSettingsState] = useState<SettingsState>({
     isDarkMode: false,
@@ -161,11 +182,9 @@ export function Events() {
   const [showCarousel, setShowCarousel] = useState(true);
 
   const colorPalette = isDarkMode ? darkPalette : lightPalette;
+  const isSearchMode = searchTerm !== '';
   const includePastSetting = settingsState.pastEvents;
-
-  useEffect(() => {
-    setMapEvents((prev) => (prev.length ? [] : prev));
-  }, [filterState, includePastSetting]);
+  const geoLocationSetting = settingsState.geoLocation;
 
   const handleResetViewComplete = useCallback(() => {
     setShouldResetMapView(false);
@@ -174,19 +193,51 @@ export function Events() {
   const buildFilterQueryParams = useCallback(
     (overrides?: FilterOverrides) => {
       const params = new URLSearchParams();
-      const { start, end } = getDateRangeFromFilter(filterState);
-      if (start) params.append('startDate', start.toISOString());
-      if (end) params.append('endDate', end.toISOString());
+      const dateRange = DATE_RANGE_FILTERS.find((key) => filterState[key]);
+      if (dateRange) params.append('range', DATE_RANGES[dateRange]);
       if (filterState.free) params.append('free', 'true');
       if (filterState.children) params.append('children', 'true');
+      const weekdays = (Object.keys(WEEKDAY_FILTERS) as WeekdayFilter[])
+        .filter((key) => filterState[key])
+        .flatMap((key) => WEEKDAY_FILTERS[key]);
+      if (weekdays.length > 0) params.append('weekday', weekdays.join(','));
+      const timesOfDay = TIME_OF_DAY_FILTERS.filter((key) => filterState[key]);
+      if (timesOfDay.length > 0)
+        params.append('timeOfDay', timesOfDay.join(','));
+      Object.entries(facetSelections).forEach(([facet, values]) => {
+        values?.forEach((value) =>
+          params.append(FACET_PARAMS[facet as FacetId], value),
+        );
+      });
+      if (suggestionFilter && suggestionFilter.type !== 'event') {
+        params.append(
+          SUGGESTION_FILTER_PARAMS[suggestionFilter.type],
+          suggestionFilter.value ?? suggestionFilter.label,
+        );
+      }
       const includePastValue =
         typeof overrides?.includePast !== 'undefined'
           ? overrides.includePast
           : includePastSetting;
       if (includePastValue) params.append('includePast', 'true');
+      // Distances are computed by the API from the user's location
+      const geoLocationValue =
+        typeof overrides?.geoLocation !== 'undefined'
+          ? overrides.geoLocation
+          : geoLocationSetting;
+      if (geoLocationValue) {
+        params.append('lat', geoLocationValue.lat.toString());
+        params.append('lon', geoLocationValue.lon.toString());
+      }
       return params;
     },
-    [filterState, includePastSetting],
+    [
+      filterState,
+      facetSelections,
+      suggestionFilter,
+      includePastSetting,
+      geoLocationSetting,
+    ],
   );
 
   const sortEvents = useCallback(
@@ -213,12 +264,11 @@ export function Events() {
     [sortState],
   );
 
-  const sortedEvents = useMemo(() => sortEvents(events), [events, sortEvents]);
-  const sortedSearchResults = useMemo(
-    () => sortEvents(searchResults),
-    [searchResults, sortEvents],
+  // Sorting a page of search results here would break the server's ranking
+  const sortedEvents = useMemo(
+    () => (isSearchMode ? events : sortEvents(events)),
+    [events, isSearchMode, sortEvents],
   );
-  const displayedEvents = isSearchMode ? sortedSearchResults : sortedEvents;
 
   const fetchEvents = useCallback(
     async (
@@ -229,6 +279,10 @@ export function Events() {
       setIsLoading(true);
       setError(null);
       const params = buildFilterQueryParams(overrides);
+      if (searchTerm) {
+        params.append('q', searchTerm);
+        params.append('sort', searchSortBy);
+      }
       params.append('limit', ITEMS_PER_PAGE.toString());
       params.append('page', pageToLoad.toString());
       const queryString = params.toString();
@@ -259,71 +313,57 @@ export function Events() {
         setPage(pageToLoad);
         setShouldResetMapView(true);
       } catch (err) {
-        console.error('Error loading events:', err);
-        setError(intl.formatMessage({ id: 'app.error.loading.events' }));
+        if (searchTerm) {
+          console.error('Error searching events:', err);
+          const message =
+            err instanceof Error ? err.message : 'An unknown error occurred';
+          setError(
+            intl.formatMessage(
+              { id: 'app.error.searching.events' },
+              { error: message },
+            ),
+          );
+          if (shouldReset) setEvents([]);
+        } else {
+          console.error('Error loading events:', err);
+          setError(intl.formatMessage({ id: 'app.error.loading.events' }));
+        }
       } finally {
         setIsLoading(false);
       }
     },
-    [buildFilterQueryParams, intl],
+    [buildFilterQueryParams, intl, searchSortBy, searchTerm],
   );
 
-  const fetchAllEventsForMap = useCallback(
-    async (overrides?: FilterOverrides) => {
-      setIsMapDataLoading(true);
-      setError(null);
-      const params = buildFilterQueryParams(overrides);
-      const queryString = params.toString();
-      const url = `${API_HOST}:${API_PORT}/getEvents${
-        queryString ? `?${queryString}` : ''
-      }`;
-
-      try {
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data: Event[] = await response.json();
-        if (!Array.isArray(data)) {
-          throw new Error('The service response is not an array');
-        }
-
-        setMapEvents(data);
-        setShouldResetMapView(true);
-      } catch (err) {
-        console.error('Error loading map events:', err);
-        setError(intl.formatMessage({ id: 'app.error.loading.events' }));
-      } finally {
-        setIsMapDataLoading(false);
-      }
-    },
-    [buildFilterQueryParams, intl],
-  );
+  // Markers for the visible map area; EventMap calls it on every pan and zoom
+  const fetchMapMarkers = useCallback(
+    async (
+      bbox: string,
+      zoom: number,
+      signal: AbortSignal,
+    ): Promise<MapMarkersResponse> => {
+      const params = buildFilterQueryParams();
+      if (searchTerm) params.append('q', searchTerm);
+      params.append('bbox', bbox);
+      params.append('zoom', zoom.toString());
 
-  const recalculateBaseLocation = useCallback(
-    async (lat: number, lon: number) => {
       try {
-        setShowToast(true);
         const response = await fetch(
-          `${API_HOST}:${API_PORT}/recalculate?lat=${lat}&lon=${lon}`,
+          `${API_HOST}:${API_PORT}/getEvents/map?${params.toString()}`,
+          { signal },
         );
         if (!response.ok) {
-          throw new Error('Failed to recalculate distances');
-        }
-        await fetchEvents(1, true);
-        setMapEvents((prev) => (prev.length ? [] : prev));
-        if (isMapView && !isSearchMode) {
-          await fetchAllEventsForMap();
+          throw new Error(`HTTP error! status: ${response.status}`);
         }
+        return await response.json();
       } catch (err) {
-        console.error('Error recalculating distances:', err);
-        setError(intl.formatMessage({ id: 'app.recalculation.error' }));
-      } finally {
-        setShowToast(false);
+        if (!signal.aborted) {
+          setError(intl.formatMessage({ id: 'app.error.loading.events' }));
+        }
+        throw err;
       }
     },
-    [fetchEvents, fetchAllEventsForMap, intl, isMapView, isSearchMode],
+    [buildFilterQueryParams, intl, searchTerm],
   );
 
   useEffect(() => {
@@ -357,76 +397,108 @@ export function Events() {
   }, [showCarousel]);
 
   useEffect(() => {
-    if (!isSearchMode) {
-      fetchEvents(1, true);
-    }
-  }, [fetchEvents, isSearchMode]);
+    fetchEvents(1, true);
+  }, [fetchEvents]);
 
   useEffect(() => {
-    if (!isMapView || isSearchMode) {
-      return;
+    if (filter === '') {
+      setSearchTerm('');
     }
-    fetchAllEventsForMap();
-  }, [fetchAllEventsForMap, isMapView, isSearchMode]);
+  }, [filter]);
 
+  // Facet counts for the current filters and search, while the panel is open
   useEffect(() => {
-    if (filter === '' && isSearchMode) {
-      setIsSearchMode(false);
-      setSearchResults([]);
-      fetchEvents(1, true);
-    }
-  }, [filter, isSearchMode, fetchEvents]);
+    if (!isFilterOpen) return;
 
-  const loadMoreEvents = useCallback(() => {
-    if (isLoading || !hasMore || isSearchMode) return;
-    const nextPage = page + 1;
-    fetchEvents(nextPage, false);
-  }, [fetchEvents, hasMore, isLoading, isSearchMode, page]);
+    const controller = new AbortController();
+    const loadFacets = async () => {
+      const params = buildFilterQueryParams();
+      if (searchTerm) params.append('q', searchTerm);
+      try {
+        const response = await fetch(
+          `${API_HOST}:${API_PORT}/getEvents/facets?${params.toString()}`,
+          { signal: controller.signal },
+        );
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        setFacets(await response.json());
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Error loading facets:', err);
+          setFacets(null);
+        }
+      }
+    };
+    loadFacets();
+
+    return () => controller.abort();
+  }, [buildFilterQueryParams, isFilterOpen, searchTerm]);
+
+  const handleToggleFacetValue = useCallback(
+    (facet: FacetId, value: string) => {
+      setFacetSelections((prev) => {
+        const current = prev[facet] ?? [];
+        const next = current.includes(value)
+          ? current.filter((item) => item !== value)
+          : [...current, value];
+        return { ...prev, [facet]: next };
+      });
+    },
+    [],
+  );
 
-  const searchEvents = useCallback(async () => {
+  // Suggestions follow the text as it is typed
+  useEffect(() => {
     const term = filter.trim();
-    if (!term) {
-      setIsSearchMode(false);
-      setSearchResults([]);
-      fetchEvents(1, true);
+    if (term.length < SUGGEST_MIN_LENGTH) {
+      setSuggestions([]);
       return;
     }
 
-    setIsLoading(true);
-    setError(null);
-
-    try {
-      const response = await fetch(
-        `${API_HOST}:${API_PORT}/getEvents/search?q=${encodeURIComponent(term)}`,
-      );
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: term });
+        if (includePastSetting) params.append('includePast', 'true');
+        const response = await fetch(
+          `${API_HOST}:${API_PORT}/getEvents/suggest?${params.toString()}`,
+          { signal: controller.signal },
+        );
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data: SearchSuggestion[] = await response.json();
+        setSuggestions(Array.isArray(data) ? data : []);
+      } catch (err) {
+        if (!controller.signal.aborted) {
+          console.error('Error loading search suggestions:', err);
+          setSuggestions([]);
+        }
       }
+    }, SUGGEST_DEBOUNCE_MS);
 
-      const data: Event[] = await response.json();
-      if (!Array.isArray(data)) {
-        throw new Error('The service response is not an array');
-      }
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [filter, includePastSetting]);
 
-      setSearchResults(data);
-      setIsSearchMode(true);
-      setHasMore(false);
-      setShouldResetMapView(true);
-    } catch (err) {
-      console.error('Error searching events:', err);
-      const message =
-        err instanceof Error ? err.message : 'An unknown error occurred';
-      setError(
-        intl.formatMessage(
-          { id: 'app.error.searching.events' },
-          { error: message },
-        ),
-      );
-      setSearchResults([]);
-    } finally {
-      setIsLoading(false);
+  const loadMoreEvents = useCallback(() => {
+    if (isLoading || !hasMore) return;
+    const nextPage = page + 1;
+    fetchEvents(nextPage, false);
+  }, [fetchEvents, hasMore, isLoading, page]);
+
+  // A new term reloads the list through fetchEvents; the same term is searched again
+  const searchEvents = useCallback(() => {
+    const term = filter.trim();
+    if (term === searchTerm) {
+      fetchEvents(1, true);
+    } else {
+      setSearchTerm(term);
     }
-  }, [filter, intl, fetchEvents]);
+  }, [filter, searchTerm, fetchEvents]);
 
   const manejarKeyPress = useCallback(
     (e: KeyboardEvent<HTMLInputElement>) => {
@@ -454,7 +526,6 @@ export function Events() {
       const newValue = !prev;
       localStorage.setItem('isMapView', newValue.toString());
       if (newValue) {
-        setMapEvents((prevEvents) => (prevEvents.length ? [] : prevEvents));
         setShouldResetMapView(true);
       }
       return newValue;
@@ -475,41 +546,65 @@ export function Events() {
       );
       localStorage.setItem('pastEvents', newSettings.pastEvents.toString());
 
-      if (
-        newSettings.geoLocation &&
-        (settingsState.geoLocation?.lat !== newSettings.geoLocation.lat ||
-          settingsState.geoLocation?.lon !== newSettings.geoLocation.lon)
-      ) {
-        recalculateBaseLocation(
-          newSettings.geoLocation.lat,
-          newSettings.geoLocation.lon,
+      const overrides: FilterOverrides = {
+        includePast: newSettings.pastEvents,
+        geoLocation: newSettings.geoLocation,
+      };
+      fetchEvents(1, true, overrides);
+    },
+    [fetchEvents],
+  );
+
+  const shouldUseInfiniteScroll = !isMapView;
+
+  // Map pins and suggestions only carry a few fields, so the full event is loaded on demand
+  const openEvent = useCallback(
+    async (id: string) => {
+      const knownEvent = events.find((event) => event.id === id);
+      if (knownEvent) {
+        setSelectedEvent(knownEvent);
+        return;
+      }
+
+      try {
+        const params = new URLSearchParams();
+        if (geoLocationSetting) {
+          params.append('lat', geoLocationSetting.lat.toString());
+          params.append('lon', geoLocationSetting.lon.toString());
+        }
+        const response = await fetch(
+          `${API_HOST}:${API_PORT}/getEvents/${encodeURIComponent(id)}?${params.toString()}`,
         );
-      } else {
-        fetchEvents(1, true, { includePast: newSettings.pastEvents });
-        if (isMapView && !isSearchMode) {
-          fetchAllEventsForMap({ includePast: newSettings.pastEvents });
-        } else {
-          setMapEvents((prev) => (prev.length ? [] : prev));
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
         }
+        const data: Event = await response.json();
+        setSelectedEvent(data);
+      } catch (err) {
+        console.error('Error loading event:', err);
+        setError(intl.formatMessage({ id: 'app.error.loading.events' }));
       }
     },
-    [
-      fetchEvents,
-      fetchAllEventsForMap,
-      isMapView,
-      isSearchMode,
-      recalculateBaseLocation,
-      settingsState.geoLocation,
-    ],
+    [events, geoLocationSetting, intl],
   );
 
-  const shouldUseInfiniteScroll = !isMapView && !isSearchMode;
-  const eventsForMap = useMemo(() => {
-    if (isSearchMode) {
-      return sortedSearchResults;
-    }
-    return mapEvents.length > 0 ? mapEvents : sortedEvents;
-  }, [isSearchMode, mapEvents, sortedEvents, sortedSearchResults]);
+  const handleMapPinSelect = useCallback(
+    (pin: MapPin) => openEvent(pin.id),
+    [openEvent],
+  );
+
+  // An event suggestion opens the event; the others filter the list by their value
+  const handleSuggestionSelect = useCallback(
+    (suggestion: SearchSuggestion) => {
+      if (suggestion.type === 'event' && suggestion.id) {
+        openEvent(suggestion.id);
+        return;
+      }
+      setSuggestionFilter(suggestion);
+      setFilter('');
+    },
+    [openEvent],
+  );
 
   return (
     <div className={`min-h-screen ${colorPalette.background}`}>
@@ -517,6 +612,8 @@ export function Events() {
         filter={filter}
         setFilter={setFilter}
         manejarKeyPress={manejarKeyPress}
+        suggestions={suggestions}
+        onSuggestionSelect={handleSuggestionSelect}
         toggleMapView={toggleMapView}
         isMapView={isMapView}
         openSettings={() => setIsSettingsModalOpen(true)}
@@ -527,59 +624,83 @@ export function Events() {
         isFilterOpen={isFilterOpen}
         toggleFilterVisibility={toggleFilterVisibility}
         isMapView={isMapView}
-        sortState={sortState}
+        sortState={
+          isSearchMode ? { by: searchSortBy, order: 'asc' } : sortState
+        }
+        isSearchMode={isSearchMode}
         filterState={filterState}
         colorPalette={colorPalette}
         onToggleFilter={(filterKey) => {
           setFilterState((prevState) => {
             const newState = { ...prevState, [filterKey]: !prevState[filterKey] };
-            if (
-              ['today', 'thisWeek', 'thisWeekend', 'thisMonth'].includes(
-                filterKey,
-              )
-            ) {
-              ['today', 'thisWeek', 'thisWeekend', 'thisMonth'].forEach(
-                (key) => {
-                  if (key !== filterKey) {
-                    newState[key as keyof FilterState] = false;
-                  }
-                },
-              );
+            if (DATE_RANGE_FILTERS.includes(filterKey as DateRangeFilter)) {
+              DATE_RANGE_FILTERS.forEach((key) => {
+                if (key !== filterKey) {
+                  newState[key] = false;
+                }
+              });
             }
             return newState;
           });
-          setIsSearchMode(false);
-          setSearchResults([]);
-          if (filter) {
-            setFilter('');
-          }
         }}
         onSortEvents={(by) => {
+          if (isSearchMode) {
+            setSearchSortBy(by);
+            return;
+          }
           setSortState((prevState) => ({
             by,
             order:
               prevState.by === by && prevState.order === 'asc' ? 'desc' : 'asc',
           }));
         }}
-      />
+      >
+        <FacetPanel
+          facets={facets}
+          selections={facetSelections}
+          colorPalette={colorPalette}
+          onToggleValue={handleToggleFacetValue}
+          onClear={() => setFacetSelections({})}
+        />
+      </FilterNav>
+
+      {suggestionFilter && (
+        <div className="px-4 -mt-4 mb-4">
+          <span
+            className={`inline-flex items-center rounded-full px-3 py-1 text-sm ${colorPalette.cardBg} ${colorPalette.cardBorder} ${colorPalette.text}`}
+          >
+            {intl.formatMessage({
+              id: `app.suggest.type.${suggestionFilter.type}`,
+            })}
+            : {suggestionFilter.label}
+            <button
+              onClick={() => setSuggestionFilter(null)}
+              className="ml-2 hover:opacity-80 transition-opacity"
+              aria-label={intl.formatMessage(
+                { id: 'app.suggest.filter.clear' },
+                { label: suggestionFilter.label },
+              )}
+            >
+              <X size={14} />
+            </button>
+          </span>
+        </div>
+      )}
 
       {error && <ErrorMessage message={error} colorPalette={colorPalette} />}
 
       {!isMapView ? (
         <main className="w-full max-w-full px-4 pb-12">
-          {showCarousel && (
-            <AutoCarousel events={displayedEvents.slice(0, 5)} />
-          )}
+          {showCarousel && <AutoCarousel events={sortedEvents.slice(0, 5)} />}
           <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6">
-            {displayedEvents.map((event, index) => (
+            {sortedEvents.map((event, index) => (
               <EventCard
                 key={event.id}
                 event={event}
                 onSelect={handleEventSelect}
                 colorPalette={colorPalette}
                 isLast={
-                  shouldUseInfiniteScroll &&
-                  index === displayedEvents.length - 1
+                  shouldUseInfiniteScroll && index === sortedEvents.length - 1
                 }
                 onLastElementVisible={loadMoreEvents}
               />
@@ -592,7 +713,7 @@ export function Events() {
               ></div>
             </div>
           )}
-          {displayedEvents.length === 0 && !isLoading && (
+          {sortedEvents.length === 0 && !isLoading && (
             <p className="text-center mt-8 text-gray-500">
               {intl.formatMessage({ id: 'app.error.loading.events' })}
             </p>
@@ -602,19 +723,14 @@ export function Events() {
         <main className="w-full flex-1 px-4 pb-12">
           <div className="h-[75vh] w-full rounded-lg overflow-hidden shadow-lg relative">
             <EventMap
-              events={eventsForMap}
+              events={sortedEvents}
+              isSearchMode={isSearchMode}
+              fetchMarkers={fetchMapMarkers}
               colorPalette={colorPalette}
-              onEventSelect={handleEventSelect}
+              onEventSelect={handleMapPinSelect}
               shouldResetView={shouldResetMapView}
               onResetViewComplete={handleResetViewComplete}
             />
-            {!isSearchMode && isMapDataLoading && (
-              <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-30">
-                <div
-                  className={`animate-spin rounded-full h-8 w-8 border-b-2 ${colorPalette.buttonBorder}`}
-                ></div>
-              </div>
-            )}
           </div>
         </main>
       )}
@@ -640,12 +756,6 @@ export function Events() {
         colorPalette={colorPalette}
         onSaveSettings={handleSaveSettings}
       />
-
-      <Toast
-        message={intl.formatMessage({ id: 'app.recalculating.distances' })}
-        isVisible={showToast}
-        onHide={() => setShowToast(false)}
-      />
     </div>
   );
 }
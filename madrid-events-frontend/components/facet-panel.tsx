@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { useIntl } from 'react-intl';
+import {
+  FacetBucket,
+  FacetId,
+  FacetSelections,
+  FacetsResponse,
+} from '../types/types';
+
+const FACET_ORDER: FacetId[] = [
+  'distrito',
+  'barrio',
+  'category',
+  'priceBand',
+  'weekday',
+  'timeOfDay',
+  'line',
+  'audience',
+];
+const WEEKDAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_OF_DAY_ORDER = ['morning', 'afternoon', 'evening'];
+const VISIBLE_BUCKETS = 8;
+
+interface ColorPalette {
+  text: string;
+  cardBg: string;
+  buttonBg: string;
+  buttonText: string;
+  buttonHover: string;
+}
+
+interface FacetPanelProps {
+  facets: FacetsResponse | null;
+  selections: FacetSelections;
+  colorPalette: ColorPalette;
+  onToggleValue: (facet: FacetId, value: string) => void;
+  onClear: () => void;
+}
+
+const FacetPanel: React.FC<FacetPanelProps> = ({
+  facets,
+  selections,
+  colorPalette,
+  onToggleValue,
+  onClear,
+}) => {
+  const intl = useIntl();
+  const [expanded, setExpanded] = useState<FacetId[]>([]);
+  const hasSelections = Object.values(selections).some(
+    (values) => values && values.length > 0,
+  );
+
+  const formatValue = (facet: FacetId, value: string) => {
+    switch (facet) {
+      case 'category':
+        return intl.formatMessage({ id: `app.category.${value}` });
+      case 'priceBand':
+      case 'weekday':
+      case 'timeOfDay':
+        return intl.formatMessage({ id: `app.facet.${facet}.${value}` });
+      case 'line':
+        return intl.formatMessage(
+          { id: 'app.facet.line.value' },
+          { number: value },
+        );
+      case 'audience':
+        return value === 'children'
+          ? intl.formatMessage({ id: 'app.facet.audience.children' })
+          : value;
+      default:
+        return value;
+    }
+  };
+
+  // Selected values stay visible with a zero count so they can be removed
+  const getBuckets = (facet: FacetId) => {
+    const buckets: FacetBucket[] = facets?.facets[facet] ?? [];
+    const missing = (selections[facet] ?? [])
+      .filter(
+        (value) => !buckets.some((bucket) => String(bucket.value) === value),
+      )
+      .map((value) => ({ value, count: 0 }));
+    const all = [...buckets, ...missing];
+    if (facet === 'weekday') {
+      all.sort(
+        (a, b) =>
+          WEEKDAY_ORDER.indexOf(String(a.value)) -
+          WEEKDAY_ORDER.indexOf(String(b.value)),
+      );
+    }
+    if (facet === 'timeOfDay') {
+      all.sort(
+        (a, b) =>
+          TIME_OF_DAY_ORDER.indexOf(String(a.value)) -
+          TIME_OF_DAY_ORDER.indexOf(String(b.value)),
+      );
+    }
+    if (facet === 'line') {
+      all.sort((a, b) => Number(a.value) - Number(b.value));
+    }
+    return all;
+  };
+
+  const toggleExpanded = (facet: FacetId) => {
+    setExpanded((prev) =>
+      prev.includes(facet)
+        ? prev.filter((id) => id !== facet)
+        : [...prev, facet],
+    );
+  };
+
+  const visibleFacets = FACET_ORDER.filter(
+    (facet) => getBuckets(facet).length > 0,
+  );
+
+  if (visibleFacets.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`container mx-auto mt-6 ${colorPalette.text}`}>
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-semibold">
+          {intl.formatMessage({ id: 'app.facets.title' })}
+        </span>
+        {hasSelections && (
+          <button
+            onClick={onClear}
+            className="text-sm underline hover:opacity-80"
+          >
+            {intl.formatMessage({ id: 'app.facets.clear' })}
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {visibleFacets.map((facet) => {
+          const buckets = getBuckets(facet);
+          const isExpanded = expanded.includes(facet);
+          const shownBuckets = isExpanded
+            ? buckets
+            : buckets.slice(0, VISIBLE_BUCKETS);
+          return (
+            <fieldset key={facet}>
+              <legend className="text-sm font-semibold mb-2">
+                {intl.formatMessage({ id: `app.facet.${facet}` })}
+              </legend>
+              <div className="flex flex-wrap gap-2">
+                {shownBuckets.map((bucket) => {
+                  const value = String(bucket.value);
+                  const isSelected = (selections[facet] ?? []).includes(value);
+                  return (
+                    <button
+                      key={value}
+                      onClick={() => onToggleValue(facet, value)}
+                      aria-pressed={isSelected}
+                      className={`px-3 py-1 rounded-full text-sm ${
+                        isSelected
+                          ? `${colorPalette.buttonBg} ${colorPalette.buttonText}`
+                          : `${colorPalette.cardBg} ${colorPalette.text}`
+                      } border border-gray-400 ${colorPalette.buttonHover} transition-colors duration-200`}
+                    >
+                      {formatValue(facet, value)}{' '}
+                      <span className="opacity-75">({bucket.count})</span>
+                    </button>
+                  );
+                })}
+                {buckets.length > VISIBLE_BUCKETS && (
+                  <button
+                    onClick={() => toggleExpanded(facet)}
+                    className="text-sm underline hover:opacity-80"
+                  >
+                    {intl.formatMessage({
+                      id: isExpanded ? 'app.facets.less' : 'app.facets.more',
+                    })}
+                  </button>
+                )}
+              </div>
+            </fieldset>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FacetPanel;
@@ -1,7 +1,13 @@
 import React from 'react';
-import { Calendar, MapPin, ChevronUp, ChevronDown } from 'lucide-react';
+import {
+  Calendar,
+  MapPin,
+  ChevronUp,
+  ChevronDown,
+  Sparkles,
+} from 'lucide-react';
 import { useIntl } from 'react-intl';
-import { FilterState, SortState } from './../types/types';
+import { FilterState, SortBy, SortState } from './../types/types';
 
 interface ColorPalette {
   primary: string;
@@ -26,9 +32,11 @@ interface FilterNavProps {
   isMapView: boolean;
   filterState: FilterState;
   sortState: SortState;
+  isSearchMode: boolean;
   colorPalette: ColorPalette;
   onToggleFilter: (filter: keyof FilterState) => void;
-  onSortEvents: (by: 'date' | 'distance') => void;
+  onSortEvents: (by: SortBy) => void;
+  children?: React.ReactNode;
 }
 
 const FilterNav: React.FC<FilterNavProps> = ({
@@ -37,9 +45,11 @@ const FilterNav: React.FC<FilterNavProps> = ({
   isMapView,
   filterState,
   sortState,
+  isSearchMode,
   colorPalette,
   onToggleFilter,
   onSortEvents,
+  children,
 }) => {
   const intl = useIntl();
 
@@ -59,6 +69,27 @@ const FilterNav: React.FC<FilterNavProps> = ({
           <div className="container mx-auto grid grid-cols-2 sm:grid-cols-4 gap-4 mt-4">
             {!isMapView && (
               <>
+                {isSearchMode && (
+                  <button
+                    onClick={() => onSortEvents('relevance')}
+                    className={`flex items-center justify-between px-4 py-2 rounded-full border ${
+                      sortState.by === 'relevance'
+                        ? `${colorPalette.titleText}`
+                        : `border-gray-600 ${colorPalette.text}`
+                    } hover:${colorPalette.titleText} transition-colors duration-200`}
+                    style={{
+                      borderColor:
+                        sortState.by === 'relevance'
+                          ? colorPalette.primary
+                          : undefined,
+                    }}
+                  >
+                    <span className="flex items-center">
+                      <Sparkles size={18} className="mr-2" />
+                      {intl.formatMessage({ id: 'app.sort.relevance' })}
+                    </span>
+                  </button>
+                )}
                 <button
                   onClick={() => onSortEvents('date')}
                   className={`flex items-center justify-between px-4 py-2 rounded-full border ${
@@ -78,6 +109,7 @@ const FilterNav: React.FC<FilterNavProps> = ({
                     {intl.formatMessage({ id: 'app.sort.date' })}
                   </span>
                   {sortState.by === 'date' &&
+                    !isSearchMode &&
                     (sortState.order === 'asc' ? (
                       <ChevronUp size={18} />
                     ) : (
@@ -104,6 +136,7 @@ const FilterNav: React.FC<FilterNavProps> = ({
                     {intl.formatMessage({ id: 'app.sort.distance' })}
                   </span>
                   {sortState.by === 'distance' &&
+                    !isSearchMode &&
                     (sortState.order === 'asc' ? (
                       <ChevronUp size={18} />
                     ) : (
@@ -117,6 +150,10 @@ const FilterNav: React.FC<FilterNavProps> = ({
                 key: 'today',
                 label: intl.formatMessage({ id: 'app.filter.today' }),
               },
+              {
+                key: 'tomorrow',
+                label: intl.formatMessage({ id: 'app.filter.tomorrow' }),
+              },
               {
                 key: 'thisWeek',
                 label: intl.formatMessage({ id: 'app.filter.thisWeek' }),
@@ -137,6 +174,26 @@ const FilterNav: React.FC<FilterNavProps> = ({
                 key: 'children',
                 label: intl.formatMessage({ id: 'app.filter.children' }),
               },
+              {
+                key: 'weekdays',
+                label: intl.formatMessage({ id: 'app.filter.weekdays' }),
+              },
+              {
+                key: 'weekends',
+                label: intl.formatMessage({ id: 'app.filter.weekends' }),
+              },
+              {
+                key: 'morning',
+                label: intl.formatMessage({ id: 'app.filter.morning' }),
+              },
+              {
+                key: 'afternoon',
+                label: intl.formatMessage({ id: 'app.filter.afternoon' }),
+              },
+              {
+                key: 'evening',
+                label: intl.formatMessage({ id: 'app.filter.evening' }),
+              },
             ].map(({ key, label }) => (
               <button
                 key={key}
@@ -152,6 +209,7 @@ const FilterNav: React.FC<FilterNavProps> = ({
             ))}
           </div>
         )}
+        {isFilterOpen && children}
       </div>
     </nav>
   );
@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Search, Map, List, Settings } from 'lucide-react';
 import { useIntl } from 'react-intl';
+import { SearchSuggestion } from '../types/types';
+import SearchSuggestions, { getSuggestionOptionId } from './search-suggestions';
+
+const SUGGESTIONS_LIST_ID = 'search-suggestions';
 
 interface ColorPalette {
   primary: string;
@@ -21,6 +25,8 @@ interface HeaderProps {
   filter: string;
   setFilter: (filter: string) => void;
   manejarKeyPress: (e: React.KeyboardEvent<HTMLInputElement>) => void;
+  suggestions: SearchSuggestion[];
+  onSuggestionSelect: (suggestion: SearchSuggestion) => void;
   toggleMapView: () => void;
   isMapView: boolean;
   openSettings: () => void;
@@ -31,12 +37,53 @@ const Header: React.FC<HeaderProps> = ({
   filter,
   setFilter,
   manejarKeyPress,
+  suggestions,
+  onSuggestionSelect,
   toggleMapView,
   isMapView,
   openSettings,
   colorPalette,
 }) => {
   const intl = useIntl();
+  const [isSuggestionsOpen, setIsSuggestionsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const showSuggestions = isSuggestionsOpen && suggestions.length > 0;
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions]);
+
+  const selectSuggestion = (suggestion: SearchSuggestion) => {
+    setIsSuggestionsOpen(false);
+    onSuggestionSelect(suggestion);
+  };
+
+  // Arrows move through the suggestions; Enter without one selected searches as before
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (showSuggestions && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((prev) => (prev + 1) % suggestions.length);
+      return;
+    }
+    if (showSuggestions && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+      return;
+    }
+    if (e.key === 'Escape') {
+      setIsSuggestionsOpen(false);
+      return;
+    }
+    if (e.key === 'Enter') {
+      if (showSuggestions && activeIndex >= 0) {
+        e.preventDefault();
+        selectSuggestion(suggestions[activeIndex]);
+        return;
+      }
+      setIsSuggestionsOpen(false);
+    }
+    manejarKeyPress(e);
+  };
 
   return (
     <header className={`${colorPalette.cardBg} shadow-lg sticky top-0 z-10`}>
@@ -51,8 +98,22 @@ const Header: React.FC<HeaderProps> = ({
             <input
               type="text"
               value={filter}
-              onChange={(e) => setFilter(e.target.value)}
-              onKeyDown={manejarKeyPress}
+              onChange={(e) => {
+                setFilter(e.target.value);
+                setIsSuggestionsOpen(true);
+              }}
+              onKeyDown={handleKeyDown}
+              onFocus={() => setIsSuggestionsOpen(true)}
+              onBlur={() => setIsSuggestionsOpen(false)}
+              role="combobox"
+              aria-autocomplete="list"
+              aria-expanded={showSuggestions}
+              aria-controls={SUGGESTIONS_LIST_ID}
+              aria-activedescendant={
+                showSuggestions && activeIndex >= 0
+                  ? getSuggestionOptionId(SUGGESTIONS_LIST_ID, activeIndex)
+                  : undefined
+              }
               placeholder={intl.formatMessage({ id: 'app.search.placeholder' })}
               className={`${colorPalette.inputBg} ${colorPalette.inputBorder} border-2 rounded-full py-2 px-4 pr-10 focus:outline-none focus:ring-2 transition-all duration-300 ease-in-out ${colorPalette.text}`}
               style={{ ['--tw-ring-color' as string]: colorPalette.primary }}
@@ -62,6 +123,16 @@ const Header: React.FC<HeaderProps> = ({
               className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400"
               aria-hidden="true"
             />
+            {showSuggestions && (
+              <SearchSuggestions
+                id={SUGGESTIONS_LIST_ID}
+                suggestions={suggestions}
+                activeIndex={activeIndex}
+                onSelect={selectSuggestion}
+                onHover={setActiveIndex}
+                colorPalette={colorPalette}
+              />
+            )}
           </div>
           <button
                       onClick={toggleMapView}
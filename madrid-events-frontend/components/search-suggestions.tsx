@@ -0,0 +1,108 @@
+import React from 'react';
+import DOMPurify from 'dompurify';
+import {
+  Building2,
+  CalendarDays,
+  MapPinned,
+  TrainFrontTunnel,
+  Users,
+} from 'lucide-react';
+import { useIntl } from 'react-intl';
+import { SearchSuggestion, SuggestionType } from '../types/types';
+
+const TYPE_ICONS: Record<SuggestionType, React.ElementType> = {
+  event: CalendarDays,
+  venue: Building2,
+  organization: Users,
+  barrio: MapPinned,
+  station: TrainFrontTunnel,
+};
+
+interface ColorPalette {
+  cardBg: string;
+  cardBorder: string;
+  text: string;
+}
+
+interface SearchSuggestionsProps {
+  id: string;
+  suggestions: SearchSuggestion[];
+  activeIndex: number;
+  onSelect: (suggestion: SearchSuggestion) => void;
+  onHover: (index: number) => void;
+  colorPalette: ColorPalette;
+}
+
+export const getSuggestionOptionId = (listId: string, index: number) =>
+  `${listId}-option-${index}`;
+
+const SearchSuggestions: React.FC<SearchSuggestionsProps> = ({
+  id,
+  suggestions,
+  activeIndex,
+  onSelect,
+  onHover,
+  colorPalette,
+}) => {
+  const intl = useIntl();
+
+  return (
+    <ul
+      id={id}
+      role="listbox"
+      className={`absolute left-0 right-0 md:right-auto md:w-96 mt-2 max-h-96 overflow-y-auto rounded-lg shadow-lg z-20 ${colorPalette.cardBg} ${colorPalette.cardBorder}`}
+    >
+      {suggestions.map((suggestion, index) => {
+        const Icon = TYPE_ICONS[suggestion.type];
+        return (
+          <li
+            key={`${suggestion.type}-${suggestion.id ?? suggestion.value}`}
+            id={getSuggestionOptionId(id, index)}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={`flex items-center px-3 py-2 cursor-pointer ${colorPalette.text} ${
+              index === activeIndex ? 'bg-gray-100 dark:bg-gray-700' : ''
+            }`}
+            // mousedown keeps the focus in the input until the click is handled
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onSelect(suggestion)}
+            onMouseEnter={() => onHover(index)}
+          >
+            <Icon size={16} className="mr-2 flex-shrink-0 opacity-75" />
+            <span className="flex-grow min-w-0">
+              <span
+                className="block truncate"
+                dangerouslySetInnerHTML={{
+                  __html: DOMPurify.sanitize(suggestion.highlight, {
+                    ALLOWED_TAGS: ['mark'],
+                  }),
+                }}
+              />
+              <span className="block text-xs opacity-75">
+                {intl.formatMessage({
+                  id: `app.suggest.type.${suggestion.type}`,
+                })}
+                {typeof suggestion.count === 'number' &&
+                  ` · ${intl.formatMessage(
+                    { id: 'app.suggest.events' },
+                    { count: suggestion.count },
+                  )}`}
+              </span>
+            </span>
+            {suggestion.lines?.map((line) => (
+              <span
+                key={line.number}
+                className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full text-white text-xs font-bold ml-1"
+                style={{ backgroundColor: line.color }}
+              >
+                {line.number}
+              </span>
+            ))}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SearchSuggestions;
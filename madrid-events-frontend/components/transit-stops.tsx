@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  Bike,
+  Bus,
+  TrainFront,
+  TrainFrontTunnel,
+  TramFront,
+} from 'lucide-react';
+import { useIntl } from 'react-intl';
+import { TransitMode, TransitStop } from '../types/types';
+
+const MODE_ICONS: Record<TransitMode, React.ElementType> = {
+  metro: TrainFrontTunnel,
+  'metro-ligero': TramFront,
+  cercanias: TrainFront,
+  emt: Bus,
+  bicimad: Bike,
+};
+
+interface TransitStopsProps {
+  stops: TransitStop[];
+  // compact shows only the nearest stop of each mode, for the event card
+  compact?: boolean;
+  excludeModes?: TransitMode[];
+  textClassName?: string;
+}
+
+const TransitStops: React.FC<TransitStopsProps> = ({
+  stops,
+  compact = false,
+  excludeModes = [],
+  textClassName = '',
+}) => {
+  const intl = useIntl();
+
+  const visibleStops = stops.filter(
+    (stop, index) =>
+      MODE_ICONS[stop.mode] &&
+      !excludeModes.includes(stop.mode) &&
+      (!compact ||
+        stops.findIndex((other) => other.mode === stop.mode) === index),
+  );
+
+  if (visibleStops.length === 0) {
+    return null;
+  }
+
+  const renderLines = (stop: TransitStop) =>
+    stop.lines.map((line) => (
+      <span
+        key={`${stop.mode}-${stop.name}-${line.number}`}
+        className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 rounded-full text-white text-xs font-bold ml-1"
+        style={{ backgroundColor: line.color }}
+        aria-label={intl.formatMessage(
+          { id: 'app.transit.line' },
+          {
+            mode: intl.formatMessage({ id: `app.transit.mode.${stop.mode}` }),
+            number: line.number,
+          },
+        )}
+      >
+        {line.number}
+      </span>
+    ));
+
+  if (compact) {
+    return (
+      <div className={`flex flex-wrap gap-x-3 gap-y-1 ${textClassName}`}>
+        {visibleStops.map((stop) => {
+          const Icon = MODE_ICONS[stop.mode];
+          return (
+            <span
+              key={`${stop.mode}-${stop.name}`}
+              className="flex items-center text-xs"
+              title={intl.formatMessage({
+                id: `app.transit.mode.${stop.mode}`,
+              })}
+            >
+              <Icon size={14} className="mr-1 flex-shrink-0" />
+              <span className="truncate max-w-[8rem]">{stop.name}</span>
+              <span className="ml-1 opacity-75">
+                {intl.formatMessage(
+                  { id: 'app.transit.minutes' },
+                  { minutes: stop.walkingMinutes },
+                )}
+              </span>
+            </span>
+          );
+        })}
+      </div>
+    );
+  }
+
+  return (
+    <ul className={`space-y-2 ${textClassName}`}>
+      {visibleStops.map((stop) => {
+        const Icon = MODE_ICONS[stop.mode];
+        return (
+          <li key={`${stop.mode}-${stop.name}`} className="flex items-center">
+            <Icon className="w-5 h-5 mr-2 flex-shrink-0" />
+            <span className="flex flex-wrap items-center">
+              <span className="font-semibold mr-1">{stop.name}</span>
+              <span className="text-sm opacity-75 mr-1">
+                {intl.formatMessage(
+                  { id: 'app.transit.walk' },
+                  {
+                    mode: intl.formatMessage({
+                      id: `app.transit.mode.${stop.mode}`,
+                    }),
+                    distance: stop.walkingDistance,
+                    minutes: stop.walkingMinutes,
+                  },
+                )}
+              </span>
+              {renderLines(stop)}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default TransitStops;
@@ -0,0 +1,84 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import { MapMarkersResponse } from '../types/types';
+
+const VIEWPORT_DEBOUNCE_MS = 300;
+
+interface ViewportLoaderProps {
+  fetchMarkers: (
+    bbox: string,
+    zoom: number,
+    signal: AbortSignal,
+  ) => Promise<MapMarkersResponse>;
+  onMarkersLoaded: (markers: MapMarkersResponse) => void;
+  onLoadingChange: (isLoading: boolean) => void;
+}
+
+const clamp = (value: number, limit: number) =>
+  Math.min(Math.max(value, -limit), limit);
+
+// Requests the markers of the visible area whenever the user pans or zooms
+const ViewportLoader: React.FC<ViewportLoaderProps> = ({
+  fetchMarkers,
+  onMarkersLoaded,
+  onLoadingChange,
+}) => {
+  const map = useMap();
+
+  useEffect(() => {
+    let controller: AbortController | null = null;
+    let timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+    const loadMarkers = async () => {
+      controller?.abort();
+      const currentController = new AbortController();
+      controller = currentController;
+
+      const bounds = map.getBounds();
+      const bbox = [
+        clamp(bounds.getWest(), 180),
+        clamp(bounds.getSouth(), 90),
+        clamp(bounds.getEast(), 180),
+        clamp(bounds.getNorth(), 90),
+      ].join(',');
+
+      onLoadingChange(true);
+      try {
+        const markers = await fetchMarkers(
+          bbox,
+          Math.round(map.getZoom()),
+          currentController.signal,
+        );
+        if (!currentController.signal.aborted) {
+          onMarkersLoaded(markers);
+        }
+      } catch (err) {
+        if (!currentController.signal.aborted) {
+          console.error('Error loading map markers:', err);
+        }
+      } finally {
+        if (!currentController.signal.aborted) {
+          onLoadingChange(false);
+        }
+      }
+    };
+
+    const scheduleLoad = () => {
+      if (timeoutId) clearTimeout(timeoutId);
+      timeoutId = setTimeout(loadMarkers, VIEWPORT_DEBOUNCE_MS);
+    };
+
+    loadMarkers();
+    map.on('moveend', scheduleLoad);
+
+    return () => {
+      map.off('moveend', scheduleLoad);
+      if (timeoutId) clearTimeout(timeoutId);
+      controller?.abort();
+    };
+  }, [map, fetchMarkers, onMarkersLoaded, onLoadingChange]);
+
+  return null;
+};
+
+export default ViewportLoader;
@@ -0,0 +1,20 @@
+import { IntlShape } from 'react-intl';
+
+// Event dates are shown in Madrid time, whatever the browser's time zone
+export const EVENT_TIME_ZONE = 'Europe/Madrid';
+
+export const formatEventDate = (intl: IntlShape, value: string) =>
+  intl.formatDate(value, { timeZone: EVENT_TIME_ZONE });
+
+// One date when the event starts and ends on the same day
+export const formatEventDateRange = (
+  intl: IntlShape,
+  start: string,
+  end?: string,
+) => {
+  const startDate = formatEventDate(intl, start);
+  const endDate = end ? formatEventDate(intl, end) : null;
+  return endDate && endDate !== startDate
+    ? `${startDate} - ${endDate}`
+    : startDate;
+};
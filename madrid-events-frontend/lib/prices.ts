@@ -0,0 +1,32 @@
+import { IntlShape } from 'react-intl';
+import { Event } from '../types/types';
+
+const formatEuros = (intl: IntlShape, amount: number) =>
+  intl.formatNumber(amount, {
+    style: 'currency',
+    currency: 'EUR',
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  });
+
+// Short label for the price badge; null when the price is unknown
+export const formatPriceBadge = (
+  intl: IntlShape,
+  event: Pick<Event, 'free' | 'pricing'>,
+) => {
+  const { pricing } = event;
+  if (event.free) {
+    return intl.formatMessage({
+      id: pricing?.freeWithBooking
+        ? 'app.event.free.booking'
+        : 'app.event.free',
+    });
+  }
+  if (!pricing || pricing.min === null) return null;
+  if (pricing.max !== null && pricing.max > pricing.min) {
+    return intl.formatMessage(
+      { id: 'app.event.from' },
+      { price: formatEuros(intl, pricing.min) },
+    );
+  }
+  return formatEuros(intl, pricing.min);
+};
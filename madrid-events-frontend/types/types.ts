@@ -4,25 +4,148 @@ export interface Event {
   description: string;
   free: boolean;
   price: string;
+  pricing?: EventPricing | null;
   dtstart: string;
   dtend: string;
+  // Day and time in Madrid; time is null when the event spans the whole day
+  localDates?: {
+    timeZone: string;
+    start: LocalDateTime | null;
+    end: LocalDateTime | null;
+  };
   time: string;
   audience: string[];
+  // Category ids of the taxonomy (music, theatre, kids...)
+  categories?: string[];
   'event-location': string;
   locality: string;
   'postal-code': string;
   'street-address': string;
   latitude: number | null;
   longitude: number | null;
+  location?: { type: 'Point'; coordinates: [number, number] } | null;
   'organization-name': string;
   link: string;
   image: string | null;
   distrito: string;
   barrio: string;
   'excluded-days': string;
+  schedule?: EventSchedule | null;
   distance: number | null;
   subway: string;
   subwayLines?: { number: number; color: string }[];
+  transit?: TransitStop[];
+  sourceIds?: string[];
+  // Only in search results: relevance and escaped HTML with <mark> around the matches
+  score?: number;
+  highlights?: SearchHighlights;
+}
+
+// Amounts in euros parsed from the price text; null when not found
+export interface EventPricing {
+  free: boolean;
+  freeWithBooking: boolean;
+  min: number | null;
+  max: number | null;
+  reduced: number | null;
+  child: number | null;
+}
+
+export interface LocalDateTime {
+  date: string;
+  time: string | null;
+}
+
+export type Weekday = 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun';
+
+export type TimeOfDay = 'morning' | 'afternoon' | 'evening';
+
+// Weekdays and hours of the sessions; a rule without times has no known hour
+export interface ScheduleRule {
+  weekdays: Weekday[];
+  times: { start: string; end: string | null }[];
+}
+
+export interface EventSchedule {
+  rules: ScheduleRule[];
+  weekdays: Weekday[];
+  // Times of day when a session starts, and "sat:evening" pairs per session
+  timesOfDay: TimeOfDay[];
+  slots: string[];
+  excludedDates: string[];
+  interval: number;
+}
+
+export interface SearchHighlights {
+  title: string;
+  description: string | null;
+}
+
+export type SuggestionType =
+  | 'event'
+  | 'venue'
+  | 'organization'
+  | 'barrio'
+  | 'station';
+
+// Suggestions carry an event id, or the exact value of the filter they apply
+export interface SearchSuggestion {
+  type: SuggestionType;
+  label: string;
+  highlight: string;
+  id?: string;
+  value?: string;
+  dtstart?: string;
+  count?: number;
+  lines?: { number: number; color: string }[];
+}
+
+export type TransitMode =
+  | 'metro'
+  | 'metro-ligero'
+  | 'cercanias'
+  | 'emt'
+  | 'bicimad';
+
+// Nearby stop of one transport mode, with the estimated walk from the event
+export interface TransitStop {
+  mode: TransitMode;
+  name: string;
+  lines: { number: number | string; color: string }[];
+  walkingDistance: number;
+  walkingMinutes: number;
+}
+
+// Lightweight event returned by /getEvents/map for a single marker
+export type MapPin = Pick<
+  Event,
+  | 'id'
+  | 'title'
+  | 'latitude'
+  | 'longitude'
+  | 'dtstart'
+  | 'dtend'
+  | 'time'
+  | 'free'
+  | 'price'
+  | 'pricing'
+  | 'image'
+  | 'event-location'
+>;
+
+export interface MapCluster {
+  id: string;
+  count: number;
+  latitude: number;
+  longitude: number;
+  bounds: [number, number, number, number];
+}
+
+export interface MapMarkersResponse {
+  zoom: number;
+  total: number;
+  clusters: MapCluster[];
+  pins: MapPin[];
 }
 
 export interface ImageResponse {
@@ -32,14 +155,53 @@ export interface ImageResponse {
 
 export interface FilterState {
   today: boolean;
+  tomorrow: boolean;
   thisWeek: boolean;
   thisWeekend: boolean;
   thisMonth: boolean;
   free: boolean;
   children: boolean;
+  weekdays: boolean;
+  weekends: boolean;
+  morning: boolean;
+  afternoon: boolean;
+  evening: boolean;
 }
 
+export type DateRangeFilter =
+  | 'today'
+  | 'tomorrow'
+  | 'thisWeek'
+  | 'thisWeekend'
+  | 'thisMonth';
+
+export type WeekdayFilter = 'weekdays' | 'weekends';
+
+export type FacetId =
+  | 'distrito'
+  | 'barrio'
+  | 'category'
+  | 'priceBand'
+  | 'audience'
+  | 'line'
+  | 'weekday'
+  | 'timeOfDay';
+
+export interface FacetBucket {
+  value: string | number;
+  count: number;
+}
+
+export interface FacetsResponse {
+  total: number;
+  facets: Partial<Record<FacetId, FacetBucket[]>>;
+}
+
+export type FacetSelections = Partial<Record<FacetId, string[]>>;
+
+export type SortBy = 'date' | 'distance' | 'relevance';
+
 export interface SortState {
-  by: 'date' | 'distance' | null;
+  by: SortBy | null;
   order: 'asc' | 'desc';
 }